@@ -0,0 +1,123 @@
+const fs = require('fs');
+const nodesToHost = require('elasticsearch/src/lib/nodes_to_host');
+
+// Builds the elasticsearch client configuration from ELASTICSEARCH_* variables.
+// With none of the security variables set this is a plain http connection, which
+// is what the docker-compose cluster (security disabled) expects.
+
+const parseBoolean = (value, defaultValue) => {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+};
+
+const parseHosts = (value) => {
+  return (value || 'localhost:9200')
+    .split(',')
+    .map(host => host.trim())
+    .filter(Boolean);
+};
+
+// Splits "https://node1:9200" into the object form the client accepts
+const parseHostString = (host) => {
+  const url = new URL(/^https?:\/\//.test(host) ? host : `http://${host}`);
+
+  return {
+    protocol: url.protocol.replace(':', ''),
+    host: url.hostname,
+    port: url.port ? parseInt(url.port) : (url.protocol === 'https:' ? 443 : 80),
+    path: url.pathname === '/' ? '' : url.pathname
+  };
+};
+
+const buildClientConfig = (env = process.env) => {
+  const hosts = parseHosts(env.ELASTICSEARCH_HOST);
+  const username = env.ELASTICSEARCH_USERNAME;
+  const password = env.ELASTICSEARCH_PASSWORD;
+  const apiKey = env.ELASTICSEARCH_API_KEY;
+  const caCertPath = env.ELASTICSEARCH_CA_CERT;
+
+  if ((username && !password) || (!username && password)) {
+    throw new Error('ELASTICSEARCH_USERNAME and ELASTICSEARCH_PASSWORD must be set together');
+  }
+
+  if (apiKey && username) {
+    throw new Error('Set either ELASTICSEARCH_API_KEY or ELASTICSEARCH_USERNAME/PASSWORD, not both');
+  }
+
+  const config = {
+    hosts: hosts,
+    log: 'error',
+    requestTimeout: 30000,
+    pingTimeout: 3000,
+    // Retries are handled by ResiliencePolicy, with backoff and a circuit breaker
+    maxRetries: 0
+  };
+
+  if (username) {
+    config.httpAuth = `${username}:${password}`;
+  }
+
+  const secure = hosts.some(host => host.startsWith('https://'));
+
+  if (secure || caCertPath) {
+    config.ssl = {
+      // The client defaults to not verifying certificates; we verify unless told otherwise
+      rejectUnauthorized: parseBoolean(env.ELASTICSEARCH_TLS_REJECT_UNAUTHORIZED, true)
+    };
+
+    if (caCertPath) {
+      if (!fs.existsSync(caCertPath)) {
+        throw new Error(`ELASTICSEARCH_CA_CERT file not found: ${caCertPath}`);
+      }
+      config.ssl.ca = fs.readFileSync(caCertPath);
+    }
+  }
+
+  // API keys are sent as a header, which the client only supports per host.
+  // Sniffed nodes get the same header through nodesToHostCallback.
+  const headers = apiKey ? { Authorization: `ApiKey ${apiKey}` } : null;
+
+  if (headers) {
+    config.hosts = hosts.map(host => ({ ...parseHostString(host), headers }));
+  }
+
+  const sniffOnStart = parseBoolean(env.ELASTICSEARCH_SNIFF_ON_START, false);
+  const sniffInterval = parseInt(env.ELASTICSEARCH_SNIFF_INTERVAL) || false;
+
+  if (sniffOnStart || sniffInterval) {
+    config.sniffOnStart = sniffOnStart;
+    config.sniffInterval = sniffInterval;
+    config.sniffOnConnectionFault = true;
+    config.sniffedNodesProtocol = secure ? 'https' : 'http';
+
+    if (headers) {
+      config.nodesToHostCallback = (nodes) => nodesToHost(nodes).map(host => ({ ...host, headers }));
+    }
+  }
+
+  return config;
+};
+
+// Turns low-level connection failures into an actionable startup message
+const describeConnectionError = (error) => {
+  const status = error.status || error.statusCode;
+  const message = error.message || '';
+
+  if (status === 401) {
+    return 'Elasticsearch rejected the credentials (401). Check ELASTICSEARCH_USERNAME/PASSWORD or ELASTICSEARCH_API_KEY.';
+  }
+  if (status === 403) {
+    return 'The configured Elasticsearch user is not allowed to perform this request (403). Check its roles.';
+  }
+  if (/self[- ]signed|unable to verify|certificate|UNABLE_TO_GET_ISSUER_CERT/i.test(message)) {
+    return `TLS verification failed (${message}). Set ELASTICSEARCH_CA_CERT to the cluster CA certificate.`;
+  }
+  if (/ECONNRESET|socket hang up|wrong version number/i.test(message)) {
+    return `Connection was reset (${message}). Check whether the cluster expects https:// in ELASTICSEARCH_HOST.`;
+  }
+  return message;
+};
+
+module.exports = { buildClientConfig, describeConnectionError };
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { toIndexProperties } = require('./productSchema');
+const { isEqual } = require('../services/mappingDiff');
+
+// Index definitions live in mappings/<name>/v<N>.json (INDEX_DEFINITIONS_DIR overrides
+// the directory). Every change to the mapping or analysis settings gets a new file; the
+// highest version wins.
+const definitionsDir = process.env.INDEX_DEFINITIONS_DIR || path.join(__dirname, '../mappings');
+
+// Field mappings generated from a schema rather than edited in the files
+const schemaProperties = {
+  products: toIndexProperties
+};
+
+// Goes up whenever this process saves or removes a definition, so what is worked out
+// from the latest definition can be cached until then
+let revision = 0;
+
+const definitionRevision = () => revision;
+
+const listDefinitionVersions = (name = 'products') => {
+  const dir = path.join(definitionsDir, name);
+
+  return fs.readdirSync(dir)
+    .map(file => file.match(/^v(\d+)\.json$/))
+    .filter(Boolean)
+    .map(match => parseInt(match[1]))
+    .sort((a, b) => a - b);
+};
+
+// The version the next saved definition gets
+const nextDefinitionVersion = (name = 'products') => {
+  const versions = listDefinitionVersions(name);
+  return versions.length > 0 ? versions[versions.length - 1] + 1 : 1;
+};
+
+const loadIndexDefinition = (name = 'products', version) => {
+  const versions = listDefinitionVersions(name);
+
+  if (versions.length === 0) {
+    throw new Error(`No index definitions found for '${name}' in ${definitionsDir}`);
+  }
+
+  const selectedVersion = version || versions[versions.length - 1];
+  const file = path.join(definitionsDir, name, `v${selectedVersion}.json`);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Index definition v${selectedVersion} for '${name}' does not exist`);
+  }
+
+  const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  // When the schema has changed since the latest file, the desired definition is the
+  // next version with the schema's fields; it is `unsaved` until applyMapping saves it
+  const properties = !version && schemaProperties[name] ? schemaProperties[name]() : null;
+  const unsaved = Boolean(properties && !isEqual(definition.mappings.properties, properties));
+  const definitionVersion = unsaved ? selectedVersion + 1 : selectedVersion;
+
+  return {
+    version: definitionVersion,
+    ...(unsaved && { unsaved }),
+    settings: definition.settings,
+    mappings: {
+      ...definition.mappings,
+      ...(unsaved && { properties }),
+      _meta: {
+        ...(definition.mappings._meta || {}),
+        definition_version: definitionVersion
+      }
+    }
+  };
+};
+
+// Saves a definition as the next version and returns that version number
+const saveIndexDefinition = ({ settings, mappings }, name = 'products') => {
+  const version = nextDefinitionVersion(name);
+
+  // definition_version is added on load from the file name
+  const { definition_version, ...meta } = mappings._meta || {};
+  const { _meta, ...rest } = mappings;
+  const definition = {
+    settings,
+    mappings: Object.keys(meta).length > 0 ? { _meta: meta, ...rest } : rest
+  };
+
+  fs.writeFileSync(path.join(definitionsDir, name, `v${version}.json`), JSON.stringify(definition, null, 2) + '\n');
+  revision += 1;
+  return version;
+};
+
+module.exports = {
+  loadIndexDefinition,
+  listDefinitionVersions,
+  definitionRevision,
+  nextDefinitionVersion,
+  saveIndexDefinition
+};
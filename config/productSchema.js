@@ -0,0 +1,295 @@
+// The product schema: the fields a product may have, their types and limits. It is
+// the single source for
+// - payload validation (services/productValidation.js)
+// - the field mappings of the products index (`npm run mapping:apply` saves them as a
+//   new mappings/products/v<N>.json when they change)
+// - the Product and ProductInput components of the API docs (config/swagger.js)
+//
+// Field options:
+//   type       string, number, boolean, geo_point ({ lat, lon }), array or object (with
+//              `items` or `properties`)
+//   nested     (arrays of objects) index each object as a nested document, so a query
+//              can require several of its fields to match within the same object
+//   uniqueBy   (arrays of objects) a field no two objects in the array may share
+//   required   must be present on every product
+//   readOnly   set by the server; clients cannot send it when creating a product
+//   generated  set by the server on every product (listed as required in responses)
+//   mapping    the Elasticsearch mapping, when the default for the type does not fit
+//              (string → keyword, date-time → date, number → double, geo_point → geo_point)
+
+const LANGUAGE_SUBFIELDS = {
+  en: { type: 'text', analyzer: 'english_analyzer' },
+  hi: { type: 'text', analyzer: 'hindi_analyzer' },
+  hinglish: { type: 'text', analyzer: 'hinglish_analyzer' }
+};
+
+const PRODUCT_SCHEMA = {
+  id: {
+    type: 'string',
+    generated: true,
+    description: 'Unique product identifier; generated unless given when the product is created',
+    example: '123e4567-e89b-12d3-a456-426614174000'
+  },
+  name: {
+    type: 'string',
+    required: true,
+    minLength: 1,
+    description: 'Product name',
+    example: 'Smart Wireless Headphones',
+    mapping: {
+      type: 'text',
+      analyzer: 'custom_analyzer',
+      search_analyzer: 'custom_search_analyzer',
+      copy_to: ['spell'],
+      fields: {
+        keyword: { type: 'keyword' },
+        autocomplete: { type: 'text', analyzer: 'autocomplete_analyzer' },
+        ...LANGUAGE_SUBFIELDS
+      }
+    }
+  },
+  description: {
+    type: 'string',
+    description: 'Product description',
+    example: 'High-quality wireless headphones with noise cancellation',
+    mapping: {
+      type: 'text',
+      analyzer: 'custom_analyzer',
+      search_analyzer: 'custom_search_analyzer',
+      copy_to: ['spell'],
+      fields: {
+        keyword: { type: 'keyword' },
+        ...LANGUAGE_SUBFIELDS
+      }
+    }
+  },
+  lang: {
+    type: 'string',
+    enum: ['en', 'hi', 'hinglish'],
+    description: 'Language of the name and description (Hinglish is Hindi in Latin script); detected when left out',
+    example: 'en'
+  },
+  category: {
+    type: 'string',
+    required: true,
+    minLength: 1,
+    description: 'Product category',
+    example: 'Electronics',
+    mapping: { type: 'keyword', fields: { text: { type: 'text' } } }
+  },
+  price: {
+    type: 'number',
+    required: true,
+    minimum: 0,
+    description: 'Product price',
+    example: 299.99
+  },
+  rating: {
+    type: 'number',
+    required: true,
+    minimum: 0,
+    maximum: 5,
+    description: 'Product rating',
+    example: 4.5
+  },
+  tags: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Product tags; a comma-separated string is split into tags',
+    example: ['wireless', 'premium', 'noise-cancellation']
+  },
+  inStock: {
+    type: 'boolean',
+    required: true,
+    description: 'Product availability',
+    example: true
+  },
+  suggest: {
+    type: 'object',
+    readOnly: true,
+    properties: {
+      input: { type: 'array', items: { type: 'string' } },
+      weight: { type: 'number', minimum: 0 }
+    },
+    description: 'Autocomplete inputs (name, brand and tags) weighted by rating; set by the server on every write',
+    example: { input: ['Smart Wireless Headphones', 'TechBrand', 'wireless'], weight: 90 },
+    mapping: {
+      type: 'completion',
+      analyzer: 'standard',
+      preserve_separators: true,
+      preserve_position_increments: true,
+      max_input_length: 50,
+      contexts: [{ name: 'category', type: 'category', path: 'category' }]
+    }
+  },
+  createdAt: {
+    type: 'string',
+    format: 'date-time',
+    readOnly: true,
+    generated: true,
+    description: 'Creation timestamp',
+    example: '2024-01-01T00:00:00.000Z'
+  },
+  updatedAt: {
+    type: 'string',
+    format: 'date-time',
+    readOnly: true,
+    generated: true,
+    description: 'Last update timestamp',
+    example: '2024-01-01T00:00:00.000Z'
+  },
+  variants: {
+    type: 'array',
+    nested: true,
+    uniqueBy: 'sku',
+    items: {
+      type: 'object',
+      properties: {
+        sku: { type: 'string', required: true, minLength: 1, example: 'TSHIRT-RED-M' },
+        color: { type: 'string', example: 'Red' },
+        size: { type: 'string', example: 'M' },
+        price: { type: 'number', minimum: 0, example: 19.99 },
+        inStock: { type: 'boolean', example: true }
+      }
+    },
+    description: 'Purchasable variants of the product (e.g. one per color and size), each with its own price and stock'
+  },
+  availability: {
+    type: 'array',
+    nested: true,
+    uniqueBy: 'storeId',
+    items: {
+      type: 'object',
+      properties: {
+        storeId: { type: 'string', required: true, minLength: 1, example: 'blr-indiranagar' },
+        storeName: { type: 'string', example: 'Bengaluru Indiranagar' },
+        location: { type: 'geo_point', required: true, example: { lat: 12.9719, lon: 77.6412 } },
+        inStock: { type: 'boolean', required: true, example: true }
+      }
+    },
+    description: 'Stores that carry the product, with their location and whether the product is in stock there'
+  },
+  metadata: {
+    type: 'object',
+    properties: {
+      brand: { type: 'string', example: 'TechBrand' },
+      color: { type: 'string', example: 'Black' },
+      size: { type: 'string', example: 'M' },
+      weight: { type: 'number', minimum: 0, example: 1.5 }
+    }
+  },
+  deleted: {
+    type: 'boolean',
+    readOnly: true,
+    description: 'Set when the product is in the trash',
+    example: false
+  },
+  deletedAt: {
+    type: 'string',
+    format: 'date-time',
+    readOnly: true,
+    nullable: true,
+    description: 'When the product was moved to the trash'
+  },
+  deletedBy: {
+    type: 'string',
+    readOnly: true,
+    nullable: true,
+    description: 'Who moved the product to the trash (X-User header)'
+  }
+};
+
+// Fields that only exist in the index, filled in from other fields with copy_to
+const INDEX_FIELDS = {
+  // Word shingles of the name and description for spelling corrections
+  spell: { type: 'text', analyzer: 'shingle_analyzer' }
+};
+
+function fieldMapping(field) {
+  if (field.mapping) {
+    return field.mapping;
+  }
+
+  switch (field.type) {
+    case 'object':
+      return { type: 'object', properties: toMappingProperties(field.properties) };
+    case 'array':
+      return field.nested
+        ? { type: 'nested', properties: toMappingProperties(field.items.properties) }
+        : fieldMapping(field.items);
+    case 'number':
+      return { type: 'double' };
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'geo_point':
+      return { type: 'geo_point' };
+    default:
+      return { type: field.format === 'date-time' ? 'date' : 'keyword' };
+  }
+}
+
+// The index mapping properties for the schema
+function toMappingProperties(schema = PRODUCT_SCHEMA) {
+  return Object.entries(schema).reduce((properties, [name, field]) => {
+    properties[name] = fieldMapping(field);
+    return properties;
+  }, {});
+}
+
+// The mapping properties of the products index: the schema's and the index-only fields
+function toIndexProperties() {
+  return { ...toMappingProperties(PRODUCT_SCHEMA), ...INDEX_FIELDS };
+}
+
+const GEO_POINT = {
+  type: 'object',
+  required: ['lat', 'lon'],
+  properties: {
+    lat: { type: 'number', format: 'double', minimum: -90, maximum: 90 },
+    lon: { type: 'number', format: 'double', minimum: -180, maximum: 180 }
+  }
+};
+
+function toOpenApiField(field) {
+  const { required, generated, mapping, nested, uniqueBy, properties, items, ...rest } = field;
+
+  if (field.type === 'geo_point') {
+    return { ...rest, ...GEO_POINT };
+  }
+
+  return {
+    ...rest,
+    ...(field.type === 'number' && { format: 'double' }),
+    ...(items && { items: toOpenApiField(items) }),
+    ...(properties && toOpenApiObject(properties, { input: false }))
+  };
+}
+
+function toOpenApiObject(schema, { input, extra = {} }) {
+  const fields = Object.entries(schema).filter(([, field]) => !(input && field.readOnly));
+  const required = fields
+    .filter(([, field]) => field.required || (!input && field.generated))
+    .map(([name]) => name);
+
+  return {
+    type: 'object',
+    ...(required.length > 0 && { required }),
+    properties: {
+      ...fields.reduce((properties, [name, field]) => {
+        properties[name] = toOpenApiField(field);
+        return properties;
+      }, {}),
+      ...extra
+    }
+  };
+}
+
+// The OpenAPI schema of a product as returned by the API, or as sent by clients (input)
+function toOpenApiSchema({ input = false } = {}) {
+  const extra = input ? {} : {
+    _score: { type: 'number', description: 'Search relevance score', example: 0.95 }
+  };
+  return toOpenApiObject(PRODUCT_SCHEMA, { input, extra });
+}
+
+module.exports = { PRODUCT_SCHEMA, toMappingProperties, toIndexProperties, toOpenApiSchema };
@@ -2,9 +2,15 @@ const swaggerUi = require('swagger-ui-express');
 const YAML = require('yamljs');
 const path = require('path');
 
+const { toOpenApiSchema } = require('./productSchema');
+
 // Load the swagger.yaml file
 const swaggerDocument = YAML.load(path.join(__dirname, '../swagger.yaml'));
 
+// The product components are generated from the product schema
+swaggerDocument.components.schemas.Product = toOpenApiSchema();
+swaggerDocument.components.schemas.ProductInput = toOpenApiSchema({ input: true });
+
 // Swagger configuration
 const swaggerOptions = {
   customCss: `
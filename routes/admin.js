@@ -0,0 +1,494 @@
+const express = require('express');
+const elasticsearchService = require('../services/elasticsearchService');
+const { buildSearchQuery } = require('../services/searchQuery');
+const { excludeDeleted } = require('../services/softDelete');
+const { validateOperations, applyOperations } = require('../services/bulkOperations');
+const { requestActor, diffDocuments } = require('../services/productHistory');
+const { parseSize, pageOffset, searchWithCursor } = require('../services/pagination');
+
+const router = express.Router();
+
+// The by-query routes take the same query, filters and searchType as POST /api/search.
+// Matching every product has to be asked for explicitly with searchType 'match_all'.
+function byQueryErrors({ query, filters = {}, searchType }) {
+  if (query || Object.keys(filters).length > 0 || searchType === 'match_all') {
+    return [];
+  }
+  return ['A query or filters are required (use searchType "match_all" to target every product)'];
+}
+
+// Products in the trash are never touched by the by-query routes
+function byQueryFilter({ query, filters = {}, searchType = query ? 'multi_match' : 'match_all' }) {
+  return excludeDeleted(buildSearchQuery({ query, filters, searchType })).query;
+}
+
+// Counts the matching products and returns a few of them for a dry run
+async function previewMatches(filter, sampleSize) {
+  const response = await elasticsearchService.search({
+    query: filter,
+    size: Math.min(Math.max(parseInt(sampleSize) || 0, 0), 50),
+    track_total_hits: true
+  }, { includeDeleted: true }); // the filter already leaves out deleted products
+
+  return {
+    matched: response.hits.total.value,
+    sample: response.hits.hits.map(hit => hit._source)
+  };
+}
+
+function formatTask(taskId, result) {
+  const status = result.task.status || {};
+  const response = result.response || {};
+  const processed = ['updated', 'created', 'deleted', 'version_conflicts', 'noops']
+    .reduce((total, key) => total + (status[key] || 0), 0);
+
+  return {
+    taskId: taskId,
+    action: result.task.action,
+    completed: result.completed,
+    progress: {
+      total: status.total || 0,
+      updated: status.updated || 0,
+      deleted: status.deleted || 0,
+      versionConflicts: status.version_conflicts || 0,
+      noops: status.noops || 0,
+      batches: status.batches || 0,
+      percent: status.total ? Math.round(processed / status.total * 100) : (result.completed ? 100 : 0)
+    },
+    failures: response.failures || [],
+    error: result.error ? result.error.reason : null,
+    runningTimeMs: Math.round((result.task.running_time_in_nanos || 0) / 1000000)
+  };
+}
+
+// Snapshot and index names: lowercase letters, digits, '.', '_' and '-'
+const SNAPSHOT_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+function snapshotErrorResponse(res, error) {
+  if (/repository_missing_exception/.test(error.message)) {
+    return res.status(404).json({
+      error: `Snapshot repository '${elasticsearchService.snapshotRepository}' is not registered; PUT /api/admin/snapshots/repository first`
+    });
+  }
+  if (/snapshot_missing_exception/.test(error.message)) {
+    return res.status(404).json({ error: 'Snapshot not found' });
+  }
+  if ([400, 404, 409].includes(error.status)) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+// GET /api/admin/indices - Show which physical indices sit behind the alias
+router.get('/indices', async (req, res) => {
+  try {
+    const { legacy, indices } = await elasticsearchService.resolveIndices();
+
+    res.json({
+      alias: elasticsearchService.indexName,
+      legacy: legacy,
+      indices: indices,
+      reindexInProgress: elasticsearchService.reindexInProgress
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/resilience - Retry counters and circuit breaker state
+router.get('/resilience', (req, res) => {
+  res.json(elasticsearchService.getResilienceStats());
+});
+
+// POST /api/admin/reindex - Rebuild the index into a new version and swap the alias
+router.post('/reindex', async (req, res) => {
+  try {
+    const { deleteOld = false } = req.body;
+
+    if (elasticsearchService.reindexInProgress || elasticsearchService.mappingInProgress) {
+      return res.status(409).json({ error: 'A reindex or mapping change is already in progress' });
+    }
+
+    const result = await elasticsearchService.reindex({ deleteOld: deleteOld === true });
+
+    res.json({
+      message: 'Reindex completed successfully',
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/indices/swap - Point the alias at another index, e.g. one restored from a snapshot
+router.post('/indices/swap', async (req, res) => {
+  try {
+    const { index, deleteOld = false } = req.body;
+
+    if (typeof index !== 'string' || !SNAPSHOT_NAME_PATTERN.test(index)) {
+      return res.status(400).json({ error: 'index must be a valid index name' });
+    }
+
+    if (elasticsearchService.reindexInProgress || elasticsearchService.mappingInProgress) {
+      return res.status(409).json({ error: 'A reindex or mapping change is already in progress' });
+    }
+
+    const result = await elasticsearchService.swapAlias(index, { deleteOld: deleteOld === true });
+
+    res.json({
+      message: result.changed ? 'Alias swapped successfully' : 'Alias already points to this index',
+      ...result
+    });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/mapping/diff - Compare the live index with the definition files
+router.get('/mapping/diff', async (req, res) => {
+  try {
+    const diff = await elasticsearchService.diffMapping();
+    res.json(diff);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/mapping/apply - Update the index in place or reindex on breaking changes
+router.post('/mapping/apply', async (req, res) => {
+  try {
+    const { dryRun = false } = req.body;
+
+    if (elasticsearchService.reindexInProgress || elasticsearchService.mappingInProgress) {
+      return res.status(409).json({ error: 'A reindex or mapping change is already in progress' });
+    }
+
+    const result = await elasticsearchService.applyMapping({ dryRun: dryRun === true });
+    res.json(result);
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/trash/purge - Permanently remove products deleted longer ago than the retention
+router.post('/trash/purge', async (req, res) => {
+  try {
+    const { retentionDays } = req.body;
+
+    if (retentionDays !== undefined && (!Number.isInteger(retentionDays) || retentionDays < 0)) {
+      return res.status(400).json({ error: 'retentionDays must be a non-negative integer' });
+    }
+
+    const result = await elasticsearchService.purgeDeleted(retentionDays);
+
+    res.json({
+      message: 'Trash purged successfully',
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/products - List every product, soft-deleted ones included
+// Takes the page, size, sort, order and cursor parameters of GET /api/products
+router.get('/products', async (req, res) => {
+  try {
+    const { page = 1, size = 10, sort = 'createdAt', order = 'desc', pagination = 'page', cursor } = req.query;
+    const pageSize = parseSize(size);
+
+    const query = {
+      query: { match_all: {} },
+      sort: [{ [sort]: { order: order } }]
+    };
+
+    if (cursor || pagination === 'cursor') {
+      const { response, nextCursor } = await searchWithCursor(query, { cursor, size: pageSize, includeDeleted: true });
+
+      return res.json({
+        products: response.hits.hits.map(hit => hit._source),
+        total: response.hits.total.value,
+        size: pageSize,
+        nextCursor: nextCursor
+      });
+    }
+
+    const response = await elasticsearchService.search({
+      ...query,
+      from: pageOffset(page, pageSize),
+      size: pageSize
+    }, { includeDeleted: true });
+
+    res.json({
+      products: response.hits.hits.map(hit => hit._source),
+      total: response.hits.total.value,
+      page: parseInt(page),
+      size: pageSize,
+      totalPages: Math.ceil(response.hits.total.value / pageSize)
+    });
+  } catch (error) {
+    if (error.invalidPagination) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/products/:id - Get a product by ID, also when it is in the trash
+router.get('/products/:id', async (req, res) => {
+  try {
+    const product = await elasticsearchService.getDocument(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(product);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/products/update-by-query - Apply operations to every matching product
+router.post('/products/update-by-query', async (req, res) => {
+  try {
+    const { operations, dryRun = false, sampleSize = 5 } = req.body;
+
+    const errors = [...byQueryErrors(req.body), ...validateOperations(operations)];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid update by query', details: errors });
+    }
+
+    const filter = byQueryFilter(req.body);
+
+    if (dryRun === true) {
+      const { matched, sample } = await previewMatches(filter, sampleSize);
+      return res.json({
+        dryRun: true,
+        matched: matched,
+        sample: sample.map(product => ({
+          id: product.id,
+          name: product.name,
+          changes: diffDocuments(product, applyOperations(product, operations))
+        }))
+      });
+    }
+
+    const { task } = await elasticsearchService.updateByQuery(filter, operations, { waitForCompletion: false });
+
+    res.status(202).json({
+      message: 'Update by query started',
+      taskId: task,
+      statusUrl: `/api/admin/tasks/${task}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/products/delete-by-query - Move every matching product to the trash
+// With permanent: true the products are deleted for good instead
+router.post('/products/delete-by-query', async (req, res) => {
+  try {
+    const { dryRun = false, permanent = false, sampleSize = 5 } = req.body;
+
+    const errors = byQueryErrors(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid delete by query', details: errors });
+    }
+
+    const filter = byQueryFilter(req.body);
+
+    if (dryRun === true) {
+      const { matched, sample } = await previewMatches(filter, sampleSize);
+      return res.json({
+        dryRun: true,
+        permanent: permanent === true,
+        matched: matched,
+        sample: sample.map(product => ({ id: product.id, name: product.name }))
+      });
+    }
+
+    const { task } = permanent === true
+      ? await elasticsearchService.deleteByQuery(filter, { waitForCompletion: false })
+      : await elasticsearchService.updateByQuery(filter, [
+        { op: 'set', field: 'deleted', value: true },
+        { op: 'set', field: 'deletedAt', value: new Date().toISOString() },
+        { op: 'set', field: 'deletedBy', value: requestActor(req) }
+      ], { waitForCompletion: false });
+
+    res.status(202).json({
+      message: permanent === true ? 'Delete by query started' : 'Moving matching products to the trash',
+      permanent: permanent === true,
+      taskId: task,
+      statusUrl: `/api/admin/tasks/${task}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/tasks/:taskId - Progress of a by-query task
+router.get('/tasks/:taskId', async (req, res) => {
+  try {
+    const result = await elasticsearchService.getTask(req.params.taskId);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.json(formatTask(req.params.taskId, result));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/tasks/:taskId/cancel - Stop a running by-query task
+// Products it already changed stay changed
+router.post('/tasks/:taskId/cancel', async (req, res) => {
+  try {
+    const result = await elasticsearchService.getTask(req.params.taskId);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (result.completed) {
+      return res.status(409).json({ error: 'Task has already completed' });
+    }
+
+    await elasticsearchService.cancelTask(req.params.taskId);
+    res.json({ message: 'Task cancellation requested', taskId: req.params.taskId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/snapshots/repository - Show the registered snapshot repository
+router.get('/snapshots/repository', async (req, res) => {
+  try {
+    const repository = await elasticsearchService.getSnapshotRepository();
+
+    if (!repository) {
+      return res.status(404).json({
+        error: `Snapshot repository '${elasticsearchService.snapshotRepository}' is not registered`
+      });
+    }
+
+    res.json(repository);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/admin/snapshots/repository - Register (or move) the shared-filesystem snapshot repository
+router.put('/snapshots/repository', async (req, res) => {
+  try {
+    const { location } = req.body;
+
+    if (location !== undefined && (typeof location !== 'string' || location.trim() === '')) {
+      return res.status(400).json({ error: 'location must be a non-empty path' });
+    }
+
+    const repository = await elasticsearchService.registerSnapshotRepository(location);
+
+    res.json({
+      message: 'Snapshot repository registered successfully',
+      ...repository
+    });
+  } catch (error) {
+    snapshotErrorResponse(res, error);
+  }
+});
+
+// GET /api/admin/snapshots - List snapshots, newest first
+router.get('/snapshots', async (req, res) => {
+  try {
+    const snapshots = await elasticsearchService.listSnapshots();
+
+    res.json({
+      repository: elasticsearchService.snapshotRepository,
+      total: snapshots.length,
+      snapshots: snapshots
+    });
+  } catch (error) {
+    snapshotErrorResponse(res, error);
+  }
+});
+
+// POST /api/admin/snapshots - Take a snapshot of the products index
+router.post('/snapshots', async (req, res) => {
+  try {
+    const { name, waitForCompletion = false } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !SNAPSHOT_NAME_PATTERN.test(name))) {
+      return res.status(400).json({ error: 'name may only contain lowercase letters, digits, ".", "_" and "-"' });
+    }
+
+    const snapshot = await elasticsearchService.createSnapshot({
+      name: name,
+      waitForCompletion: waitForCompletion === true
+    });
+
+    res.status(waitForCompletion === true ? 201 : 202).json({
+      message: waitForCompletion === true ? 'Snapshot created successfully' : 'Snapshot started',
+      snapshot: snapshot,
+      statusUrl: `/api/admin/snapshots/${snapshot.name}`
+    });
+  } catch (error) {
+    snapshotErrorResponse(res, error);
+  }
+});
+
+// GET /api/admin/snapshots/:name - State and shard counts of a snapshot
+router.get('/snapshots/:name', async (req, res) => {
+  try {
+    const snapshot = await elasticsearchService.getSnapshot(req.params.name);
+
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    res.json(snapshot);
+  } catch (error) {
+    snapshotErrorResponse(res, error);
+  }
+});
+
+// DELETE /api/admin/snapshots/:name - Delete a snapshot from the repository
+router.delete('/snapshots/:name', async (req, res) => {
+  try {
+    await elasticsearchService.deleteSnapshot(req.params.name);
+    res.json({ message: 'Snapshot deleted successfully', name: req.params.name });
+  } catch (error) {
+    snapshotErrorResponse(res, error);
+  }
+});
+
+// POST /api/admin/snapshots/:name/restore - Restore a snapshot into a new index (the alias is not moved)
+router.post('/snapshots/:name/restore', async (req, res) => {
+  try {
+    const { index, sourceIndex } = req.body;
+
+    if (index !== undefined && (typeof index !== 'string' || !SNAPSHOT_NAME_PATTERN.test(index))) {
+      return res.status(400).json({ error: 'index must be a valid index name' });
+    }
+
+    const result = await elasticsearchService.restoreSnapshot(req.params.name, { targetIndex: index, sourceIndex });
+
+    res.json({
+      message: 'Snapshot restored successfully',
+      ...result
+    });
+  } catch (error) {
+    snapshotErrorResponse(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,14 @@
 const express = require('express');
 const elasticsearchService = require('../services/elasticsearchService');
+const { loadIndexDefinition, nextDefinitionVersion } = require('../config/indexDefinition');
+const { getSynonymsStatus } = require('../services/synonyms');
+const {
+  validateAnalysisDefinition,
+  validateSamples,
+  testDefinition,
+  describeAnalyzers
+} = require('../services/analysisDefinition');
+const { LANGUAGE_ANALYZERS, detectLanguage } = require('../services/language');
 
 const router = express.Router();
 
@@ -20,12 +29,9 @@ router.post('/test', async (req, res) => {
     }
 
     // Test the analyzer by analyzing the text
-    const analysisResponse = await elasticsearchService.client.indices.analyze({
-      index: elasticsearchService.indexName,
-      body: {
-        analyzer: analyzer,
-        text: text
-      }
+    const analysisResponse = await elasticsearchService.analyze({
+      analyzer: analyzer,
+      text: text
     });
 
     // Also test search with the analyzed text
@@ -67,34 +73,20 @@ router.post('/test', async (req, res) => {
   }
 });
 
-// GET /api/analyzers/available - Get available analyzers
+// GET /api/analyzers/available - Get available analyzers, generated from the live index settings
 router.get('/available', async (req, res) => {
   try {
-    const analyzers = {
-      custom_analyzer: {
-        description: 'Custom analyzer with lowercase, stop words, stemming, and synonyms',
-        filters: ['lowercase', 'stop', 'snowball', 'synonym_filter'],
-        tokenizer: 'standard'
-      },
-      keyword_analyzer: {
-        description: 'Keyword analyzer for exact matches',
-        filters: ['lowercase'],
-        tokenizer: 'keyword'
-      },
-      autocomplete_analyzer: {
-        description: 'Autocomplete analyzer with edge n-grams',
-        filters: ['lowercase', 'autocomplete_filter'],
-        tokenizer: 'standard'
-      },
-      standard: {
-        description: 'Standard Elasticsearch analyzer',
-        filters: ['lowercase'],
-        tokenizer: 'standard'
-      }
-    };
+    const { index, definitionVersion, analysis, mappings } = await elasticsearchService.getLiveAnalysis();
+    const { version, activeVersion, pendingReload, reloadedAt, total } = getSynonymsStatus();
 
     res.json({
-      analyzers: analyzers,
+      index: index,
+      definitionVersion: definitionVersion,
+      analyzers: describeAnalyzers(analysis, mappings),
+      tokenizers: analysis.tokenizer || {},
+      filters: analysis.filter || {},
+      charFilters: analysis.char_filter || {},
+      synonyms: { version, activeVersion, pendingReload, reloadedAt, rules: total },
       usage: {
         endpoint: 'POST /api/analyzers/test',
         body: {
@@ -110,12 +102,114 @@ router.get('/available', async (req, res) => {
   }
 });
 
+// GET /api/analyzers/settings - Raw analysis settings of the live index
+router.get('/settings', async (req, res) => {
+  try {
+    const { index, definitionVersion, analysis } = await elasticsearchService.getLiveAnalysis();
+    res.json({ index, definitionVersion, analysis });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/analyzers/validate - Run _analyze samples against a definition without applying it
+router.post('/validate', async (req, res) => {
+  try {
+    const { analysis, samples } = req.body;
+
+    const errors = [...validateAnalysisDefinition(analysis), ...validateSamples(samples)];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid analyzer definition', details: errors });
+    }
+
+    const { settings } = loadIndexDefinition();
+    const { valid, changes, samples: results, failures } = await testDefinition(settings.analysis, analysis, samples);
+
+    res.json({ valid, changes, samples: results, failures });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/analyzers/apply - Validate a definition, apply it and save it as a new index definition.
+// New components are added with a close/update/open of the index; changed ones (or reindex: true) reindex.
+// The definition file is only written once the index has it.
+router.post('/apply', async (req, res) => {
+  try {
+    const { analysis, samples, dryRun = false, reindex = false } = req.body;
+
+    const errors = [...validateAnalysisDefinition(analysis), ...validateSamples(samples)];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid analyzer definition', details: errors });
+    }
+
+    if (elasticsearchService.reindexInProgress || elasticsearchService.mappingInProgress) {
+      return res.status(409).json({ error: 'A reindex or mapping change is already in progress' });
+    }
+
+    const desired = loadIndexDefinition();
+    const validation = await testDefinition(desired.settings.analysis, analysis, samples);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Analyzer definition failed validation',
+        details: validation.failures,
+        samples: validation.samples
+      });
+    }
+
+    const { changes } = validation;
+    if (changes.added.length === 0 && changes.changed.length === 0) {
+      return res.json({ message: 'Definition is already in place', action: 'none', changes });
+    }
+
+    if (dryRun === true) {
+      const action = reindex === true || changes.changed.length > 0 ? 'reindex' : 'update';
+      return res.json({
+        dryRun: true,
+        action: action,
+        closeRequired: action === 'update',
+        changes: changes,
+        samples: validation.samples
+      });
+    }
+
+    // The next definition version, saved by applyMapping once it is applied
+    const version = nextDefinitionVersion();
+    const result = await elasticsearchService.applyMapping({
+      reindex: reindex === true,
+      definition: {
+        version: version,
+        unsaved: true,
+        settings: { ...desired.settings, analysis: validation.analysis },
+        mappings: { ...desired.mappings, _meta: { ...desired.mappings._meta, definition_version: version } }
+      }
+    });
+
+    res.json({
+      message: 'Analyzer definition applied successfully',
+      definitionVersion: result.definitionVersion,
+      action: result.action,
+      closeRequired: !!result.closeRequired,
+      changes: changes,
+      samples: validation.samples,
+      ...(result.reindex && { reindex: result.reindex })
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // POST /api/analyzers/compare - Compare multiple analyzers
+// By default the per-language analyzers are compared too, and the response names the detected language
 router.post('/compare', async (req, res) => {
   try {
     const { 
       text,
-      analyzers = ['custom_analyzer', 'standard', 'keyword_analyzer']
+      analyzers = ['custom_analyzer', ...Object.values(LANGUAGE_ANALYZERS), 'standard', 'keyword_analyzer']
     } = req.body;
 
     if (!text) {
@@ -129,12 +223,9 @@ router.post('/compare', async (req, res) => {
 
     for (const analyzer of analyzers) {
       try {
-        const analysisResponse = await elasticsearchService.client.indices.analyze({
-          index: elasticsearchService.indexName,
-          body: {
-            analyzer: analyzer,
-            text: text
-          }
+        const analysisResponse = await elasticsearchService.analyze({
+          analyzer: analyzer,
+          text: text
         });
 
         results[analyzer] = {
@@ -151,11 +242,15 @@ router.post('/compare', async (req, res) => {
       }
     }
 
+    const language = detectLanguage(text);
+
     res.json({
       input: {
         text: text,
         analyzers: analyzers
       },
+      detectedLanguage: language,
+      languageAnalyzer: LANGUAGE_ANALYZERS[language],
       results: results
     });
 
@@ -209,13 +304,16 @@ router.post('/synonyms', async (req, res) => {
       }
     }
 
+    const { version, activeVersion, pendingReload } = getSynonymsStatus();
+
     res.json({
       input: {
         text: text,
         test_synonyms: test_synonyms
       },
       synonym_results: results,
-      note: 'Synonyms are configured in the index mapping and should find related terms'
+      synonyms: { version, activeVersion, pendingReload },
+      note: 'Synonyms are managed with /api/synonyms and applied at search time'
     });
 
   } catch (error) {
@@ -1,104 +1,600 @@
 const express = require('express');
 const elasticsearchService = require('../services/elasticsearchService');
+const { DELETED_FILTER, trashRetentionDays } = require('../services/softDelete');
+const { requestActor, recordChanges, recordBulkChanges } = require('../services/productHistory');
+const {
+  PROTECTED_FIELDS,
+  schemaModeRequested,
+  parseProduct,
+  changedProtectedFields,
+  keepCreatedAt
+} = require('../services/productValidation');
+const { applyMergePatch, applyJsonPatch } = require('../services/jsonPatch');
+const { buildSearchQuery } = require('../services/searchQuery');
+const { CSV_COLUMNS, toCsvRows } = require('../services/productCsv');
+const { parseSize, pageOffset, searchWithCursor } = require('../services/pagination');
+const { withLanguage } = require('../services/language');
 const crypto = require('crypto');
 
 const router = express.Router();
 
+// ETags are derived from the document's sequence number and primary term, e.g. "42-1"
+function toETag(seqNo, primaryTerm) {
+  return `"${seqNo}-${primaryTerm}"`;
+}
+
+// Returns { seqNo, primaryTerm } for a valid ETag, null otherwise
+function parseETag(etag) {
+  const match = String(etag).trim().match(/^(?:W\/)?"?(\d+)-(\d+)"?$/);
+  return match ? { seqNo: parseInt(match[1]), primaryTerm: parseInt(match[2]) } : null;
+}
+
+function preconditionFailed(res, current) {
+  return res.status(412).json({
+    error: 'Precondition Failed',
+    message: 'Product has been modified since it was read; fetch it again and retry',
+    currentETag: current ? toETag(current.seqNo, current.primaryTerm) : null
+  });
+}
+
+// The 412 for a conditional write that lost a race (409 from the index). The product is read
+// again for its current ETag; currentETag is null when that read fails or the product is gone.
+async function writeConflict(res, id) {
+  let current = null;
+  try {
+    current = await elasticsearchService.getDocumentWithVersion(id);
+  } catch (error) {
+    console.error('Error reading product after a write conflict:', error.message);
+  }
+  return preconditionFailed(res, current);
+}
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  json: 'application/json; charset=utf-8'
+};
+
+const PATCH_TYPES = {
+  'application/merge-patch+json': 'merge',
+  'application/json-patch+json': 'json-patch'
+};
+
+// Fields dropped in lenient schema mode are listed in a response header
+function reportIgnoredFields(res, ignored) {
+  if (ignored.length > 0) {
+    res.set('X-Ignored-Fields', ignored.join(', '));
+  }
+}
+
+// Validates the complete new version of a product, writes it as a full replacement
+// guarded by `version` and records the change. Shared by PUT and PATCH.
+async function replaceProduct(req, res, existing, product, version) {
+  const parsed = parseProduct(product, { mode: schemaModeRequested(req) });
+  const errors = [
+    ...changedProtectedFields(existing.document, product).map(field => `${field} cannot be changed`),
+    ...parsed.errors
+  ];
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid product', details: errors });
+  }
+
+  const updatedProduct = withLanguage({ ...parsed.product, updatedAt: new Date().toISOString() });
+  reportIgnoredFields(res, parsed.ignored);
+
+  const response = await elasticsearchService.replaceDocument(req.params.id, updatedProduct, version);
+  await recordChanges(req, [{
+    action: 'update',
+    productId: req.params.id,
+    before: existing.document,
+    after: updatedProduct
+  }]);
+
+  res.set('ETag', toETag(response._seq_no, response._primary_term));
+  res.json(updatedProduct);
+}
+
 // GET /api/products - Get all products with pagination
+// Page numbers reach the first 10,000 products; pagination=cursor (then cursor=<nextCursor>) goes further
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, size = 10, sort = 'createdAt', order = 'desc' } = req.query;
-    const from = (page - 1) * size;
+    const { page = 1, size = 10, sort = 'createdAt', order = 'desc', pagination = 'page', cursor } = req.query;
+    const pageSize = parseSize(size);
 
     const query = {
       query: { match_all: {} },
-      from: parseInt(from),
-      size: parseInt(size),
       sort: [{ [sort]: { order: order } }]
     };
 
-    const response = await elasticsearchService.search(query);
+    const toProducts = response => response.hits.hits.map(hit => ({
+      ...hit._source,
+      _score: hit._score
+    }));
+
+    if (cursor || pagination === 'cursor') {
+      const { response, nextCursor } = await searchWithCursor(query, { cursor, size: pageSize });
+
+      return res.json({
+        products: toProducts(response),
+        total: response.hits.total.value,
+        size: pageSize,
+        nextCursor: nextCursor
+      });
+    }
+
+    const response = await elasticsearchService.search({
+      ...query,
+      from: pageOffset(page, pageSize),
+      size: pageSize
+    });
     
     res.json({
-      products: response.hits.hits.map(hit => ({
-        ...hit._source,
-        _score: hit._score
-      })),
+      products: toProducts(response),
+      total: response.hits.total.value,
+      page: parseInt(page),
+      size: pageSize,
+      totalPages: Math.ceil(response.hits.total.value / pageSize)
+    });
+  } catch (error) {
+    if (error.invalidPagination) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/products/trash - List soft-deleted products, most recently deleted first
+router.get('/trash', async (req, res) => {
+  try {
+    const { page = 1, size = 10 } = req.query;
+    const pageSize = parseSize(size);
+
+    const query = {
+      query: { bool: { filter: [DELETED_FILTER] } },
+      from: pageOffset(page, pageSize),
+      size: pageSize,
+      sort: [{ deletedAt: { order: 'desc' } }]
+    };
+
+    const response = await elasticsearchService.search(query, { includeDeleted: true });
+
+    res.json({
+      products: response.hits.hits.map(hit => hit._source),
       total: response.hits.total.value,
       page: parseInt(page),
-      size: parseInt(size),
-      totalPages: Math.ceil(response.hits.total.value / size)
+      size: pageSize,
+      totalPages: Math.ceil(response.hits.total.value / pageSize),
+      retentionDays: trashRetentionDays()
     });
   } catch (error) {
+    if (error.invalidPagination) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
+// GET /api/products/export - Stream every matching product as CSV, NDJSON or a JSON array
+// Takes the filters of POST /api/search as query parameters; CSV uses the upload template columns
+router.get('/export', async (req, res) => {
+  const {
+    format = 'csv',
+    q,
+    searchType = q ? 'multi_match' : 'match_all',
+    category,
+    priceMin,
+    priceMax,
+    rating,
+    inStock,
+    tags
+  } = req.query;
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: 'Unsupported export format', supported: Object.keys(EXPORT_FORMATS) });
+  }
+
+  const filters = {};
+  if (category) filters.category = category;
+  if (priceMin !== undefined) filters.priceMin = parseFloat(priceMin);
+  if (priceMax !== undefined) filters.priceMax = parseFloat(priceMax);
+  if (rating !== undefined) filters.rating = parseFloat(rating);
+  if (inStock !== undefined) filters.inStock = inStock === 'true';
+  if (tags) filters.tags = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+
+  const { query } = buildSearchQuery({ query: q, filters, searchType });
+
+  // Stop reading from Elasticsearch when the client goes away
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  // Waits for the buffer to drain (or the client to go away), removing the other listener
+  // so a long export does not pile them up
+  const write = (chunk) => new Promise(resolve => {
+    if (res.write(chunk)) {
+      return resolve();
+    }
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  // Headers go out with the first page so a failure to start can still answer 500
+  let exported = 0;
+  const start = async () => {
+    if (res.headersSent) {
+      return;
+    }
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.status(200);
+    res.set('Content-Type', EXPORT_FORMATS[format]);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      await write(`${CSV_COLUMNS.join(',')}\n`);
+    } else if (format === 'json') {
+      await write('[');
+    }
+  };
+
+  try {
+    await elasticsearchService.scan(query, async (products) => {
+      await start();
+
+      const lines = products.map((product, index) => {
+        if (format === 'csv') {
+          return toCsvRows(product).map(row => `${row}\n`).join('');
+        }
+        if (format === 'ndjson') {
+          return `${JSON.stringify(product)}\n`;
+        }
+        return `${exported + index > 0 ? ',' : ''}\n${JSON.stringify(product)}`;
+      });
+
+      exported += products.length;
+      await write(lines.join(''));
+      return !closed;
+    });
+
+    await start();
+    if (format === 'json') {
+      await write(exported > 0 ? '\n]\n' : ']\n');
+    }
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message });
+    }
+    // Part of the export has been sent; cut the response so the client sees it is incomplete
+    console.error(`Export failed after ${exported} products:`, error);
+    res.destroy(error);
+  }
+});
+
 // GET /api/products/:id - Get product by ID
 router.get('/:id', async (req, res) => {
   try {
-    const product = await elasticsearchService.getDocument(req.params.id);
+    const result = await elasticsearchService.getDocumentWithVersion(req.params.id);
     
-    if (!product) {
+    if (!result || result.document.deleted) {
       return res.status(404).json({ error: 'Product not found' });
     }
     
-    res.json(product);
+    res.set('ETag', toETag(result.seqNo, result.primaryTerm));
+    res.json(result.document);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // POST /api/products - Create new product
+// The body is checked against the product schema; ?schemaMode=lenient drops unknown fields instead of rejecting them.
+// lang ('en', 'hi' or 'hinglish') is detected from the name and description when left out
 router.post('/', async (req, res) => {
   try {
-    const product = {
+    const { product: input, errors, ignored } = parseProduct(req.body, { mode: schemaModeRequested(req), create: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid product', details: errors });
+    }
+
+    const product = withLanguage({
       id: crypto.randomUUID(),
-      ...req.body,
+      ...input,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
-    };
+    });
+    reportIgnoredFields(res, ignored);
+
+    const response = await elasticsearchService.indexDocument(product);
+    await recordChanges(req, [{ action: 'create', productId: product.id, after: product }]);
 
-    await elasticsearchService.indexDocument(product);
+    res.set('ETag', toETag(response._seq_no, response._primary_term));
     res.status(201).json(product);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// PUT /api/products/:id - Update product
+// PUT /api/products/:id - Replace product
+// The body is the complete product; fields it leaves out are removed. id and createdAt are kept.
+// Send the ETag from GET as If-Match to reject the update if someone else changed the product meanwhile
 router.put('/:id', async (req, res) => {
   try {
-    const existingProduct = await elasticsearchService.getDocument(req.params.id);
+    const ifMatch = req.get('If-Match');
+    const expectedVersion = ifMatch && ifMatch !== '*' ? parseETag(ifMatch) : undefined;
+
+    if (expectedVersion === null) {
+      return res.status(400).json({ error: 'Invalid If-Match header', example: '"42-1"' });
+    }
+
+    const existing = await elasticsearchService.getDocumentWithVersion(req.params.id);
     
-    if (!existingProduct) {
+    // Deleted products have to be restored before they can be edited
+    if (!existing || existing.document.deleted) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    const updatedProduct = {
-      ...req.body,
-      id: req.params.id,
-      updatedAt: new Date().toISOString()
-    };
+    if (expectedVersion &&
+      (expectedVersion.seqNo !== existing.seqNo || expectedVersion.primaryTerm !== existing.primaryTerm)) {
+      return preconditionFailed(res, existing);
+    }
+
+    // Protected fields the body leaves out are carried over rather than dropped
+    const product = { ...req.body };
+    PROTECTED_FIELDS
+      .filter(field => product[field] === undefined && existing.document[field] !== undefined)
+      .forEach(field => { product[field] = existing.document[field]; });
 
-    await elasticsearchService.updateDocument(req.params.id, updatedProduct);
-    res.json(updatedProduct);
+    await replaceProduct(req, res, existing, product, expectedVersion);
   } catch (error) {
+    if (error.status === 409) {
+      // Changed between our read and the conditional write
+      return writeConflict(res, req.params.id);
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// DELETE /api/products/:id - Delete product
+// PATCH /api/products/:id - Partially update product
+// Content-Type application/merge-patch+json (RFC 7396) or application/json-patch+json (RFC 6902);
+// with plain application/json an array is read as JSON Patch and an object as merge patch
+router.patch('/:id', async (req, res) => {
+  try {
+    const ifMatch = req.get('If-Match');
+    const expectedVersion = ifMatch && ifMatch !== '*' ? parseETag(ifMatch) : undefined;
+
+    if (expectedVersion === null) {
+      return res.status(400).json({ error: 'Invalid If-Match header', example: '"42-1"' });
+    }
+
+    const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    const patchType = contentType === 'application/json'
+      ? (Array.isArray(req.body) ? 'json-patch' : 'merge')
+      : PATCH_TYPES[contentType];
+
+    if (!patchType) {
+      res.set('Accept-Patch', Object.keys(PATCH_TYPES).join(', '));
+      return res.status(415).json({
+        error: 'Unsupported patch format',
+        supported: Object.keys(PATCH_TYPES)
+      });
+    }
+
+    const existing = await elasticsearchService.getDocumentWithVersion(req.params.id);
+
+    if (!existing || existing.document.deleted) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    if (expectedVersion &&
+      (expectedVersion.seqNo !== existing.seqNo || expectedVersion.primaryTerm !== existing.primaryTerm)) {
+      return preconditionFailed(res, existing);
+    }
+
+    let product;
+    try {
+      product = patchType === 'merge'
+        ? applyMergePatch(existing.document, req.body)
+        : applyJsonPatch(existing.document, req.body);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    // The patch was applied to the version we read, so the write must not overwrite a newer one
+    await replaceProduct(req, res, existing, product, { seqNo: existing.seqNo, primaryTerm: existing.primaryTerm });
+  } catch (error) {
+    if (error.status === 409) {
+      return writeConflict(res, req.params.id);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/products/:id - Move product to the trash
+// The product is only flagged as deleted; it can be restored until the purge job removes it
 router.delete('/:id', async (req, res) => {
   try {
-    const result = await elasticsearchService.deleteDocument(req.params.id);
-    
-    if (!result) {
+    const ifMatch = req.get('If-Match');
+    const expectedVersion = ifMatch && ifMatch !== '*' ? parseETag(ifMatch) : undefined;
+
+    if (expectedVersion === null) {
+      return res.status(400).json({ error: 'Invalid If-Match header', example: '"42-1"' });
+    }
+
+    const existing = await elasticsearchService.getDocumentWithVersion(req.params.id);
+
+    if (!existing || existing.document.deleted) {
       return res.status(404).json({ error: 'Product not found' });
     }
+
+    if (expectedVersion &&
+      (expectedVersion.seqNo !== existing.seqNo || expectedVersion.primaryTerm !== existing.primaryTerm)) {
+      return preconditionFailed(res, existing);
+    }
+
+    const deletedAt = new Date().toISOString();
+    const changes = {
+      deleted: true,
+      deletedAt: deletedAt,
+      deletedBy: requestActor(req),
+      updatedAt: deletedAt
+    };
+
+    // Guard the write with the version we read so a concurrent edit is not lost
+    const version = expectedVersion || { seqNo: existing.seqNo, primaryTerm: existing.primaryTerm };
+    await elasticsearchService.updateDocument(req.params.id, changes, version);
+    await recordChanges(req, [{
+      action: 'delete',
+      productId: req.params.id,
+      before: existing.document,
+      after: { ...existing.document, ...changes }
+    }]);
     
-    res.json({ message: 'Product deleted successfully' });
+    res.json({
+      message: 'Product moved to trash',
+      deletedAt: changes.deletedAt,
+      deletedBy: changes.deletedBy
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return writeConflict(res, req.params.id);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/products/:id/restore - Restore a product from the trash
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const existing = await elasticsearchService.getDocumentWithVersion(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    if (!existing.document.deleted) {
+      return res.status(409).json({ error: 'Product is not deleted' });
+    }
+
+    // Updates are merged into the stored product, so the trash fields are nulled rather than omitted
+    const changes = {
+      deleted: false,
+      deletedAt: null,
+      deletedBy: null,
+      updatedAt: new Date().toISOString()
+    };
+
+    const response = await elasticsearchService.updateDocument(
+      req.params.id,
+      changes,
+      { seqNo: existing.seqNo, primaryTerm: existing.primaryTerm }
+    );
+    const restoredProduct = { ...existing.document, ...changes };
+    await recordChanges(req, [{
+      action: 'restore',
+      productId: req.params.id,
+      before: existing.document,
+      after: restoredProduct
+    }]);
+
+    res.set('ETag', toETag(response._seq_no, response._primary_term));
+    res.json(restoredProduct);
+  } catch (error) {
+    if (error.status === 409) {
+      return writeConflict(res, req.params.id);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/products/:id/history - List the product's recorded changes, newest first
+router.get('/:id/history', async (req, res) => {
+  try {
+    const { page = 1, size = 20 } = req.query;
+    const pageSize = parseSize(size);
+
+    const history = await elasticsearchService.getHistory(req.params.id, {
+      from: pageOffset(page, pageSize),
+      size: pageSize
+    });
+
+    // Purged products keep their history, so only 404 when nothing was ever recorded
+    if (history.total === 0 && !(await elasticsearchService.getDocument(req.params.id))) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json({
+      productId: req.params.id,
+      changes: history.changes,
+      total: history.total,
+      page: parseInt(page),
+      size: pageSize,
+      totalPages: Math.ceil(history.total / pageSize)
+    });
   } catch (error) {
+    if (error.invalidPagination) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/products/:id/history/:changeId/rollback - Restore the product as it was after that change
+router.post('/:id/history/:changeId/rollback', async (req, res) => {
+  try {
+    const ifMatch = req.get('If-Match');
+    const expectedVersion = ifMatch && ifMatch !== '*' ? parseETag(ifMatch) : undefined;
+
+    if (expectedVersion === null) {
+      return res.status(400).json({ error: 'Invalid If-Match header', example: '"42-1"' });
+    }
+
+    const change = await elasticsearchService.getChange(req.params.changeId);
+
+    if (!change || change.productId !== req.params.id) {
+      return res.status(404).json({ error: 'Change not found' });
+    }
+
+    const existing = await elasticsearchService.getDocumentWithVersion(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    if (expectedVersion &&
+      (expectedVersion.seqNo !== existing.seqNo || expectedVersion.primaryTerm !== existing.primaryTerm)) {
+      return preconditionFailed(res, existing);
+    }
+
+    const rolledBackProduct = {
+      ...change.after,
+      id: req.params.id,
+      updatedAt: new Date().toISOString()
+    };
+
+    const response = await elasticsearchService.replaceDocument(
+      req.params.id,
+      rolledBackProduct,
+      expectedVersion || { seqNo: existing.seqNo, primaryTerm: existing.primaryTerm }
+    );
+    await recordChanges(req, [{
+      action: 'rollback',
+      productId: req.params.id,
+      before: existing.document,
+      after: rolledBackProduct,
+      revertedTo: change.changeId
+    }]);
+
+    res.set('ETag', toETag(response._seq_no, response._primary_term));
+    res.json(rolledBackProduct);
+  } catch (error) {
+    if (error.status === 409) {
+      return writeConflict(res, req.params.id);
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -112,20 +608,56 @@ router.post('/bulk', async (req, res) => {
       return res.status(400).json({ error: 'Products must be an array' });
     }
 
-    const productsWithIds = products.map(product => ({
-      id: crypto.randomUUID(),
-      ...product,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    }));
+    // Items may carry an ifMatch ETag to only overwrite the product if it is unchanged
+    const mode = schemaModeRequested(req);
+    const expectedVersions = {};
+    const invalid = [];
+    const ignoredFields = new Set();
+
+    const newProducts = products.map((item, index) => {
+      const { ifMatch, ...input } = item || {};
+      const { product, errors, ignored } = parseProduct(input, { mode, create: true });
+
+      errors.forEach(error => invalid.push({ index, error }));
+      ignored.forEach(field => ignoredFields.add(field));
+
+      if (ifMatch !== undefined) {
+        const expectedVersion = parseETag(ifMatch);
+        if (!product.id || !expectedVersion) {
+          invalid.push({ index, error: product.id ? 'Invalid ifMatch ETag' : 'ifMatch requires an id' });
+        } else {
+          expectedVersions[product.id] = expectedVersion;
+        }
+      }
+
+      return withLanguage({
+        id: crypto.randomUUID(),
+        ...product,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    });
+
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid products', details: invalid });
+    }
 
-    const response = await elasticsearchService.bulkIndex(productsWithIds);
+    // Items that overwrite a product keep its creation date, as with PUT
+    const before = await elasticsearchService.getDocuments(newProducts.map(product => product.id));
+    const productsWithIds = keepCreatedAt(newProducts, before);
+    const result = await elasticsearchService.bulkIndex(productsWithIds, { expectedVersions });
+    await recordBulkChanges(req, productsWithIds, before, result);
     
     res.json({
       message: 'Bulk insert completed',
-      total: productsWithIds.length,
-      errors: response.errors,
-      items: response.items.length
+      total: result.total,
+      indexed: result.indexed,
+      failed: result.failed,
+      errors: result.errors,
+      failures: result.failures,
+      batches: result.batches,
+      took: result.took,
+      ...(ignoredFields.size > 0 && { ignoredFields: Array.from(ignoredFields) })
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1,9 +1,77 @@
 const express = require('express');
 const elasticsearchService = require('../services/elasticsearchService');
+const {
+  buildSearchQuery,
+  nearErrors,
+  distanceSort,
+  highlightErrors,
+  buildHighlight,
+  toHighlights
+} = require('../services/searchQuery');
+const { parseSize, pageOffset, searchWithCursor, cursorCarry, discardCursorPage } = require('../services/pagination');
+const { LANGUAGES, isLanguage, detectLanguage } = require('../services/language');
+const { MAX_SUGGESTIONS, suggestFields, buildSuggestQuery, toSuggestions } = require('../services/suggestions');
+const { FEW_RESULTS, buildDidYouMeanSuggester, toDidYouMean } = require('../services/spelling');
+const { selectionErrors, buildFacetedSearch, toFacets } = require('../services/facets');
 
 const router = express.Router();
 
+// The store an inner hit sorted by distance (in km) points to
+const toNearestStore = storeHit => storeHit && ({
+  storeId: storeHit._source.storeId,
+  storeName: storeHit._source.storeName,
+  location: storeHit._source.location,
+  distanceKm: Math.round(storeHit.sort[0] * 100) / 100
+});
+
+// A search hit as a product, with the variants and store its inner hits matched
+const toProduct = hit => ({
+  ...hit._source,
+  _score: hit._score,
+  ...(hit.inner_hits && hit.inner_hits.variants && {
+    matchingVariants: hit.inner_hits.variants.hits.hits.map(variant => variant._source)
+  }),
+  ...(hit.inner_hits && hit.inner_hits.nearest_store && {
+    nearestStore: toNearestStore(hit.inner_hits.nearest_store.hits.hits[0])
+  })
+});
+
+// The 400 response for an invalid near filter, distance sort or language; null when they are valid
+function searchParamsError({ filters, sort, language }) {
+  const nearProblems = filters.near !== undefined ? nearErrors(filters.near) : [];
+  if (sort === 'distance' && filters.near === undefined) {
+    nearProblems.push('sort distance needs filters.near');
+  }
+  if (nearProblems.length > 0) {
+    return { error: 'Invalid near filter', details: nearProblems };
+  }
+
+  if (language !== undefined && language !== 'auto' && !isLanguage(language)) {
+    return {
+      error: 'Invalid language',
+      details: [`language must be one of ${[...LANGUAGES, 'auto'].join(', ')}`]
+    };
+  }
+  return null;
+}
+
+// Sorts on a field, or by distance (nearest first unless told otherwise)
+const searchSort = ({ filters, sort, order }) => (sort === 'distance'
+  ? [distanceSort(filters.near, order || 'asc')]
+  : [{ [sort]: { order: order || 'desc' } }]);
+
 // POST /api/search - Advanced search with multiple query types
+// Page numbers reach the first 10,000 hits; pagination 'cursor' (then cursor: nextCursor) goes further
+// language ('en', 'hi', 'hinglish' or 'auto') searches the per-language name and description fields
+// filters.variant (color, size, inStock, sku, priceMin, priceMax) must all hold for one variant,
+// which is returned in matchingVariants
+// filters.near ({ lat, lon, radius }) keeps products in stock at a store within the radius, reports
+// the nearest one in nearestStore and allows sort 'distance'
+// The first page of a search with few or no results carries a didYouMean spelling correction;
+// with autoCorrect the corrected query is run too and its results are returned when it finds
+// more (didYouMean.applied is then true; its cursor continues the corrected query)
+// highlight (true, or { fields, fragmentSize, numberOfFragments, preTag, postTag }) adds the
+// matching fragments of the name and description to each product in highlights
 router.post('/', async (req, res) => {
   try {
     const { 
@@ -12,188 +80,243 @@ router.post('/', async (req, res) => {
       page = 1, 
       size = 10, 
       sort = 'createdAt', 
-      order = 'desc',
-      searchType = 'multi_match'
+      order,
+      searchType = 'multi_match',
+      pagination = 'page',
+      cursor,
+      language,
+      autoCorrect = false,
+      highlight = false
     } = req.body;
 
-    const from = (page - 1) * size;
-    let searchQuery = {};
-
-    // Build query based on search type
-    switch (searchType) {
-      case 'multi_match':
-        searchQuery = {
-          query: {
-            multi_match: {
-              query: query,
-              fields: ['name^3', 'description^2', 'category', 'tags'],
-              type: 'best_fields',
-              fuzziness: 'AUTO'
-            }
-          }
-        };
-        break;
-      
-      case 'match_phrase':
-        searchQuery = {
-          query: {
-            match_phrase: {
-              name: {
-                query: query,
-                slop: 2
-              }
-            }
-          }
-        };
-        break;
-      
-      case 'wildcard':
-        searchQuery = {
-          query: {
-            wildcard: {
-              name: {
-                value: `*${query}*`,
-                case_insensitive: true
-              }
-            }
-          }
-        };
-        break;
-      
-      case 'fuzzy':
-        searchQuery = {
-          query: {
-            fuzzy: {
-              name: {
-                value: query,
-                fuzziness: 2
-              }
-            }
-          }
-        };
-        break;
-      
-      default:
-        searchQuery = {
-          query: {
-            match_all: {}
-          }
-        };
+    const paramsError = searchParamsError({ filters, sort, language });
+    if (paramsError) {
+      return res.status(400).json(paramsError);
     }
 
-    // Add filters
-    if (Object.keys(filters).length > 0) {
-      const filterQueries = [];
-      
-      if (filters.category) {
-        filterQueries.push({
-          term: { category: filters.category }
-        });
-      }
-      
-      if (filters.priceMin !== undefined || filters.priceMax !== undefined) {
-        const priceRange = {};
-        if (filters.priceMin !== undefined) priceRange.gte = filters.priceMin;
-        if (filters.priceMax !== undefined) priceRange.lte = filters.priceMax;
-        
-        filterQueries.push({
-          range: { price: priceRange }
-        });
-      }
-      
-      if (filters.rating) {
-        filterQueries.push({
-          range: { rating: { gte: filters.rating } }
-        });
+    if (typeof autoCorrect !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid autoCorrect', details: ['autoCorrect must be a boolean'] });
+    }
+
+    const highlightProblems = highlightErrors(highlight);
+    if (highlightProblems.length > 0) {
+      return res.status(400).json({ error: 'Invalid highlight', details: highlightProblems });
+    }
+
+    const pageSize = parseSize(size);
+    const searchLanguage = language === 'auto' ? detectLanguage(query) : language;
+    const cursorMode = Boolean(cursor) || pagination === 'cursor';
+    const firstPage = cursorMode ? !cursor : Number(page) === 1;
+    const spellcheck = firstPage && typeof query === 'string' && query.trim() !== '';
+
+    // The cursor of an auto-corrected search goes on with the corrected query, whether the
+    // client sends the query it typed or the correction
+    const { correction } = cursorCarry(cursor);
+    const searchText = correction && [correction.from, correction.to].includes(query) ? correction.to : query;
+
+    const buildQuery = (text, withSuggester) => {
+      const searchQuery = buildSearchQuery({ query: text, filters, searchType, language: searchLanguage, innerHits: true });
+      searchQuery.sort = searchSort({ filters, sort, order });
+
+      if (highlight) {
+        searchQuery.highlight = buildHighlight(highlight, { query: text, searchType });
       }
-      
-      if (filters.inStock !== undefined) {
-        filterQueries.push({
-          term: { inStock: filters.inStock }
-        });
+      if (withSuggester) {
+        searchQuery.suggest = buildDidYouMeanSuggester(text);
       }
-      
-      if (filters.tags && filters.tags.length > 0) {
-        filterQueries.push({
-          terms: { tags: filters.tags }
-        });
+      return searchQuery;
+    };
+
+    // Runs the search for the text; returns the response and, in cursor mode, the next cursor
+    const runSearch = async (text, withSuggester, carry) => {
+      const searchQuery = buildQuery(text, withSuggester);
+
+      if (cursorMode) {
+        return searchWithCursor(searchQuery, { cursor, size: pageSize, carry });
       }
 
-      if (filterQueries.length > 0) {
-        searchQuery = {
-          query: {
-            bool: {
-              must: [searchQuery.query],
-              filter: filterQueries
-            }
-          }
-        };
+      // Add pagination
+      searchQuery.from = pageOffset(page, pageSize);
+      searchQuery.size = pageSize;
+      return { response: await elasticsearchService.search(searchQuery) };
+    };
+
+    const toProducts = response => response.hits.hits.map(hit => ({
+      ...toProduct(hit),
+      ...(highlight && { highlights: toHighlights(hit, highlight, searchType) })
+    }));
+
+    let result = await runSearch(searchText, spellcheck);
+    const originalTotal = result.response.hits.total.value;
+    let didYouMean = spellcheck && originalTotal <= FEW_RESULTS ? toDidYouMean(result.response, query) : null;
+
+    if (didYouMean && autoCorrect) {
+      const corrected = await runSearch(didYouMean.text, false, { correction: { from: query, to: didYouMean.text } });
+      const applied = corrected.response.hits.total.value > originalTotal;
+
+      // Only one of the two searches is continued; the other's point in time is closed
+      await discardCursorPage(applied ? result : corrected);
+      if (applied) {
+        result = corrected;
       }
+      didYouMean = { ...didYouMean, applied, ...(applied && { originalTotal }) };
+    } else if (didYouMean) {
+      didYouMean = { ...didYouMean, applied: false };
     }
 
-    // Add pagination and sorting
-    searchQuery.from = from;
-    searchQuery.size = parseInt(size);
-    searchQuery.sort = [{ [sort]: { order: order } }];
+    const { response, nextCursor } = result;
+    const total = response.hits.total.value;
 
-    const response = await elasticsearchService.search(searchQuery);
-    
     res.json({
-      products: response.hits.hits.map(hit => ({
-        ...hit._source,
-        _score: hit._score
-      })),
-      total: response.hits.total.value,
-      page: parseInt(page),
-      size: parseInt(size),
-      totalPages: Math.ceil(response.hits.total.value / size),
+      products: toProducts(response),
+      total: total,
+      ...(cursorMode
+        ? { size: pageSize, nextCursor: nextCursor }
+        : { page: parseInt(page), size: pageSize, totalPages: Math.ceil(total / pageSize) }),
       searchType: searchType,
+      ...(searchLanguage && { language: searchLanguage }),
+      ...(didYouMean && { didYouMean }),
       took: response.took
     });
   } catch (error) {
+    if (error.invalidPagination) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 // GET /api/search/suggest - Autocomplete suggestions
+// Prefix matches on a completion field (typos allowed unless fuzzy=false); category
+// (comma-separated) only suggests products in those categories
 router.get('/suggest', async (req, res) => {
   try {
-    const { q, field = 'name' } = req.query;
+    const { q, field = 'suggest', category, fuzzy, size = 10 } = req.query;
     
     if (!q) {
       return res.status(400).json({ error: 'Query parameter "q" is required' });
     }
 
-    const query = {
-      suggest: {
-        product_suggest: {
-          prefix: q,
-          completion: {
-            field: `${field}.suggest`,
-            size: 10
-          }
-        }
-      },
-      size: 0
-    };
+    const fields = suggestFields();
+    const count = Number(size);
+    const details = [];
+
+    if (!fields.includes(field)) {
+      details.push(`field must be one of ${fields.join(', ')}`);
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SUGGESTIONS) {
+      details.push(`size must be an integer between 1 and ${MAX_SUGGESTIONS}`);
+    }
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid suggest request', details });
+    }
+
+    const query = buildSuggestQuery({
+      prefix: q,
+      field: field,
+      categories: category ? category.split(',').map(value => value.trim()).filter(Boolean) : [],
+      fuzzy: fuzzy !== 'false',
+      size: count
+    });
 
     const response = await elasticsearchService.search(query);
     
     res.json({
-      suggestions: response.suggest.product_suggest[0].options.map(option => ({
-        text: option.text,
-        score: option.score
-      }))
+      suggestions: toSuggestions(response, { size: count })
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+const MAX_INSTANT_RESULTS = 10;
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;', '/': '&#x2F;' };
+
+// Escapes a name like the highlighter's html encoder, for names without a highlight
+const escapeHtml = text => String(text).replace(/[&<>"'/]/g, character => HTML_ESCAPES[character]);
+const INSTANT_SOURCE = ['id', 'name', 'category', 'price', 'rating', 'inStock'];
+
+// GET /api/search/instant - Top products for each keystroke in a search box
+// The as_you_type query with a small _source, no total hit count and no aggregations;
+// the request cache answers repeated prefixes until the index changes. The highlighted names
+// are HTML-escaped, so a search box can insert them as HTML.
+router.get('/instant', async (req, res) => {
+  try {
+    const { q, size = 5, category } = req.query;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'Query parameter "q" is required' });
+    }
+
+    const count = Number(size);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_INSTANT_RESULTS) {
+      return res.status(400).json({
+        error: 'Invalid instant search request',
+        details: [`size must be an integer between 1 and ${MAX_INSTANT_RESULTS}`]
+      });
+    }
+
+    const { query } = buildSearchQuery({ query: q, filters: category ? { category } : {}, searchType: 'as_you_type' });
+    const response = await elasticsearchService.search({
+      query,
+      size: count,
+      _source: INSTANT_SOURCE,
+      track_total_hits: false,
+      highlight: {
+        encoder: 'html',
+        fields: {
+          // Highlights every word the typed text is a prefix of, earlier terms included
+          'name.autocomplete': {
+            number_of_fragments: 0,
+            highlight_query: { match: { 'name.autocomplete': { query: q, analyzer: 'standard' } } }
+          }
+        }
+      }
+    }, { requestCache: true });
+
+    res.json({
+      products: response.hits.hits.map(hit => ({
+        ...hit._source,
+        _score: hit._score,
+        highlights: { name: (hit.highlight && hit.highlight['name.autocomplete']) || [escapeHtml(hit._source.name)] }
+      })),
+      took: response.took
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Counts the variants with each value of a variant field and the products they belong to
+const variantFacet = (field, size = 20) => ({
+  terms: { field: `variants.${field}`, size },
+  aggs: { products: { reverse_nested: {} } }
+});
+
+const toVariantBuckets = aggregation => aggregation.buckets.map(bucket => ({
+  key: bucket.key,
+  ...(bucket.key_as_string !== undefined && { key_as_string: bucket.key_as_string }),
+  doc_count: bucket.products.doc_count,
+  variant_count: bucket.doc_count
+}));
+
+// Distance rings (km) of the distance facet; they overlap, each counting everything within it
+const DISTANCE_RINGS_KM = [5, 10, 25];
+
 // GET /api/search/facets - Get search facets for filtering
+// variants counts products (doc_count) and variants (variant_count) per variant color, size and stock
+// With lat and lon, distance counts the products in stock at a store within 5, 10 and 25 km
 router.get('/facets', async (req, res) => {
   try {
-    const { q } = req.query;
+    const { q, lat, lon } = req.query;
+    const near = lat !== undefined || lon !== undefined ? { lat, lon } : null;
+
+    if (near) {
+      const problems = nearErrors(near).map(problem => problem.replace('filters.near.', ''));
+      if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid location', details: problems });
+      }
+    }
     
     let query = {
       aggs: {
@@ -229,11 +352,41 @@ router.get('/facets', async (req, res) => {
         },
         in_stock: {
           terms: { field: 'inStock' }
+        },
+        variants: {
+          nested: { path: 'variants' },
+          aggs: {
+            colors: variantFacet('color'),
+            sizes: variantFacet('size'),
+            in_stock: variantFacet('inStock', 2)
+          }
         }
       },
       size: 0
     };
 
+    if (near) {
+      query.aggs.stores = {
+        nested: { path: 'availability' },
+        aggs: {
+          in_stock: {
+            filter: { term: { 'availability.inStock': true } },
+            aggs: {
+              distance: {
+                geo_distance: {
+                  field: 'availability.location',
+                  origin: { lat: Number(lat), lon: Number(lon) },
+                  unit: 'km',
+                  ranges: DISTANCE_RINGS_KM.map(km => ({ key: `within_${km}km`, to: km }))
+                },
+                aggs: { products: { reverse_nested: {} } }
+              }
+            }
+          }
+        }
+      };
+    }
+
     if (q) {
       query.query = {
         multi_match: {
@@ -253,7 +406,19 @@ router.get('/facets', async (req, res) => {
         price_ranges: response.aggregations.price_ranges.buckets,
         ratings: response.aggregations.ratings.buckets,
         tags: response.aggregations.tags.buckets,
-        in_stock: response.aggregations.in_stock.buckets
+        in_stock: response.aggregations.in_stock.buckets,
+        variants: {
+          colors: toVariantBuckets(response.aggregations.variants.colors),
+          sizes: toVariantBuckets(response.aggregations.variants.sizes),
+          in_stock: toVariantBuckets(response.aggregations.variants.in_stock)
+        },
+        ...(near && {
+          distance: response.aggregations.stores.in_stock.distance.buckets.map(bucket => ({
+            key: bucket.key,
+            to: bucket.to,
+            doc_count: bucket.products.doc_count
+          }))
+        })
       },
       total: response.hits.total.value
     });
@@ -262,16 +427,82 @@ router.get('/facets', async (req, res) => {
   }
 });
 
+// POST /api/search/faceted - Search results and multi-select facets in one request
+// Takes the query, searchType, language, filters, sort and paging of POST /api/search plus the
+// facet values selected in the UI (selected: { category: [...], tags: [...], inStock: [...],
+// price: [...], rating: [...] }, ranges by key). The selections narrow the products; each facet
+// counts with every selection but its own, and its buckets say whether they are selected.
+router.post('/faceted', async (req, res) => {
+  try {
+    const {
+      query,
+      filters = {},
+      selected = {},
+      page = 1,
+      size = 10,
+      sort = 'createdAt',
+      order,
+      searchType = 'multi_match',
+      language
+    } = req.body;
+
+    const paramsError = searchParamsError({ filters, sort, language });
+    if (paramsError) {
+      return res.status(400).json(paramsError);
+    }
+
+    const selectionProblems = selectionErrors(selected);
+    if (selectionProblems.length > 0) {
+      return res.status(400).json({ error: 'Invalid facet selection', details: selectionProblems });
+    }
+
+    const pageSize = parseSize(size);
+    const searchLanguage = language === 'auto' ? detectLanguage(query) : language;
+    const searchQuery = {
+      ...buildSearchQuery({
+        query,
+        filters,
+        searchType: query ? searchType : 'match_all',
+        language: searchLanguage,
+        innerHits: true
+      }),
+      ...buildFacetedSearch(selected),
+      sort: searchSort({ filters, sort, order }),
+      from: pageOffset(page, pageSize),
+      size: pageSize
+    };
+
+    const response = await elasticsearchService.search(searchQuery);
+
+    res.json({
+      products: response.hits.hits.map(toProduct),
+      total: response.hits.total.value,
+      page: parseInt(page),
+      size: pageSize,
+      totalPages: Math.ceil(response.hits.total.value / pageSize),
+      facets: toFacets(response.aggregations, selected),
+      searchType: query ? searchType : 'match_all',
+      ...(searchLanguage && { language: searchLanguage }),
+      took: response.took
+    });
+  } catch (error) {
+    if (error.invalidPagination) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/search/related - Find related products
 router.get('/related/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const { size = 5 } = req.query;
     
-    // First get the source product
+    // First get the source product; one in the trash has no recommendations
     const sourceProduct = await elasticsearchService.getDocument(id);
     
-    if (!sourceProduct) {
+    if (!sourceProduct || sourceProduct.deleted) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
@@ -0,0 +1,114 @@
+const express = require('express');
+const {
+  parseRules,
+  parseSynonymsText,
+  reloadSynonyms,
+  getSynonymsStatus,
+  updateSynonyms
+} = require('../services/synonyms');
+
+const router = express.Router();
+
+function synonymsErrorResponse(res, error) {
+  if (error.status === 400) {
+    return res.status(400).json({ error: error.message, details: error.details || [] });
+  }
+  if (error.status === 404) {
+    return res.status(404).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+// GET /api/synonyms - List the synonym rules and which version the search analyzers use
+router.get('/', (req, res) => {
+  try {
+    res.json(getSynonymsStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/synonyms - Add one rule ({ rule }) or several ({ rules }); existing rules are skipped
+router.post('/', async (req, res) => {
+  try {
+    const { rule, rules } = req.body;
+    const parsed = parseRules(rule !== undefined ? [rule] : rules);
+
+    if (parsed.length === 0) {
+      return res.status(400).json({ error: 'Invalid synonym rules', details: ['rule or rules is required'] });
+    }
+
+    let added = [];
+    const result = await updateSynonyms(current => {
+      const existing = new Set(current.map(item => item.id));
+      added = parsed.filter(item => !existing.has(item.id));
+      return added.length > 0 ? [...current, ...added] : current;
+    });
+
+    res.status(added.length > 0 ? 201 : 200).json({
+      message: added.length > 0 ? 'Synonyms updated successfully' : 'All rules already exist',
+      added: added,
+      skipped: parsed.filter(item => !added.includes(item)).map(item => item.rule),
+      ...result
+    });
+  } catch (error) {
+    synonymsErrorResponse(res, error);
+  }
+});
+
+// PUT /api/synonyms - Replace every rule, from { rules } or a text/plain synonyms file
+router.put('/', express.text({ type: 'text/plain', limit: '1mb' }), async (req, res) => {
+  try {
+    const texts = typeof req.body === 'string' ? parseSynonymsText(req.body) : req.body.rules;
+    const parsed = parseRules(texts);
+
+    const result = await updateSynonyms(() => parsed);
+
+    res.json({
+      message: 'Synonyms replaced successfully',
+      ...result
+    });
+  } catch (error) {
+    synonymsErrorResponse(res, error);
+  }
+});
+
+// DELETE /api/synonyms/:id - Remove a rule
+router.delete('/:id', async (req, res) => {
+  try {
+    let removed = null;
+    const result = await updateSynonyms(current => {
+      removed = current.find(item => item.id === req.params.id);
+      if (!removed) {
+        const error = new Error('Synonym rule not found');
+        error.status = 404;
+        throw error;
+      }
+      return current.filter(item => item !== removed);
+    });
+
+    res.json({
+      message: 'Synonym rule removed successfully',
+      removed: removed,
+      ...result
+    });
+  } catch (error) {
+    synonymsErrorResponse(res, error);
+  }
+});
+
+// POST /api/synonyms/reload - Reload the search analyzers, e.g. after editing the file by hand
+router.post('/reload', async (req, res) => {
+  try {
+    const reload = await reloadSynonyms();
+
+    res.json({
+      message: 'Search analyzers reloaded successfully',
+      ...reload
+    });
+  } catch (error) {
+    synonymsErrorResponse(res, error);
+  }
+});
+
+module.exports = router;
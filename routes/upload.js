@@ -4,6 +4,10 @@ const path = require('path');
 const fs = require('fs');
 const csv = require('csv-parser');
 const elasticsearchService = require('../services/elasticsearchService');
+const { recordBulkChanges } = require('../services/productHistory');
+const { CSV_COLUMNS, productsFromCsvRows } = require('../services/productCsv');
+const { schemaModeRequested, keepCreatedAt } = require('../services/productValidation');
+const { withLanguage } = require('../services/language');
 
 const router = express.Router();
 
@@ -39,6 +43,7 @@ const upload = multer({
 });
 
 // POST /api/upload/csv - Upload and import CSV file
+// Every row is checked against the product schema; if any row is invalid nothing is imported
 router.post('/csv', upload.single('csvFile'), async (req, res) => {
   try {
     if (!req.file) {
@@ -48,10 +53,20 @@ router.post('/csv', upload.single('csvFile'), async (req, res) => {
     console.log(`📁 Processing uploaded file: ${req.file.filename}`);
 
     // Parse CSV file
-    const products = await parseCSVFile(req.file.path);
+    const parsed = await parseCSVFile(req.file.path, schemaModeRequested(req));
+    const { invalid, ignoredFields } = parsed;
+
+    if (invalid.length > 0) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: 'Invalid products in CSV file', details: invalid });
+    }
     
     // Import to Elasticsearch
-    const response = await elasticsearchService.bulkIndex(products);
+    // Products that are already in the index keep their creation date
+    const before = await elasticsearchService.getDocuments(parsed.products.map(product => product.id));
+    const products = keepCreatedAt(parsed.products, before);
+    const result = await elasticsearchService.bulkIndex(products);
+    await recordBulkChanges(req, products, before, result);
     
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
@@ -59,13 +74,16 @@ router.post('/csv', upload.single('csvFile'), async (req, res) => {
     res.json({
       message: 'CSV file uploaded and processed successfully',
       filename: req.file.originalname,
-      productsImported: products.length,
-      errors: response.errors,
+      productsImported: result.indexed,
+      errors: result.errors,
       details: {
-        total: response.items.length,
-        successful: response.items.filter(item => !item.index.error).length,
-        failed: response.items.filter(item => item.index.error).length
-      }
+        total: result.total,
+        successful: result.indexed,
+        failed: result.failed,
+        batches: result.batches
+      },
+      failures: result.failures,
+      ...(ignoredFields.length > 0 && { ignoredFields })
     });
 
   } catch (error) {
@@ -81,38 +99,30 @@ router.post('/csv', upload.single('csvFile'), async (req, res) => {
   }
 });
 
-// Helper function to parse CSV file
-function parseCSVFile(filePath) {
+// Helper function to parse CSV file into schema-checked products
+function parseCSVFile(filePath, mode) {
   return new Promise((resolve, reject) => {
-    const products = [];
+    const rows = [];
     
     fs.createReadStream(filePath)
       .pipe(csv())
       .on('data', (row) => {
-        // Convert CSV row to product object
-        const product = {
-          id: row.id || generateId(),
-          name: row.name || 'Unknown Product',
-          description: row.description || '',
-          category: row.category || 'Other',
-          price: parseFloat(row.price) || 0,
-          rating: parseFloat(row.rating) || 0,
-          tags: row.tags ? row.tags.split(',').map(tag => tag.trim()) : [],
-          inStock: row.inStock === 'true' || row.inStock === true,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-          metadata: {
-            brand: row.brand || '',
-            color: row.color || '',
-            size: row.size || ''
-          }
-        };
-        
-        products.push(product);
+        rows.push(row);
       })
       .on('end', () => {
+        const parsed = productsFromCsvRows(rows, { mode });
+        const now = new Date().toISOString();
+
+        // Rows without an id get a new one; an empty lang is detected
+        const products = parsed.products.map(product => withLanguage({
+          id: generateId(),
+          ...product,
+          createdAt: now,
+          updatedAt: now
+        }));
+
         console.log(`📊 Parsed ${products.length} products from CSV`);
-        resolve(products);
+        resolve({ ...parsed, products });
       })
       .on('error', (error) => {
         reject(error);
@@ -127,14 +137,19 @@ function generateId() {
 
 // GET /api/upload/sample - Download sample CSV template
 router.get('/sample', (req, res) => {
-  const sampleCSV = `id,name,description,category,price,rating,tags,inStock,brand,color,size
-1,Wireless Bluetooth Headphones,High-quality wireless headphones with noise cancellation,Electronics,199.99,4.5,"wireless,audio,premium",true,Sony,Black,One Size
-2,Gaming Mechanical Keyboard,RGB backlit mechanical keyboard for gaming,Electronics,149.99,4.3,"gaming,keyboard,mechanical",true,Corsair,Black,Full Size
-3,Organic Cotton T-Shirt,100% organic cotton comfortable t-shirt,Clothing,29.99,4.2,"organic,cotton,comfortable",true,Everlane,White,M
-4,Stainless Steel Water Bottle,Insulated stainless steel water bottle,Home & Garden,24.99,4.4,"stainless,steel,insulated",true,Hydro Flask,Silver,32oz
-5,Wireless Charging Pad,Fast wireless charging pad for smartphones,Electronics,39.99,4.1,"wireless,charging,fast",true,Anker,Black,Standard`;
+  const sampleCSV = `${CSV_COLUMNS.join(',')}
+1,Wireless Bluetooth Headphones,High-quality wireless headphones with noise cancellation,Electronics,199.99,4.5,"wireless,audio,premium",true,Sony,Black,One Size,en,,,,,,blr-indiranagar,Bengaluru Indiranagar,"12.9719,77.6412",true
+1,,,,,,,,,,,,,,,,,mum-bandra,Mumbai Bandra,"19.0596,72.8295",false
+2,Gaming Mechanical Keyboard,RGB backlit mechanical keyboard for gaming,Electronics,149.99,4.3,"gaming,keyboard,mechanical",true,Corsair,Black,Full Size,en,,,,,,,,,
+3,Organic Cotton T-Shirt,100% organic cotton comfortable t-shirt,Clothing,29.99,4.2,"organic,cotton,comfortable",true,Everlane,,,en,TEE-WHT-M,White,M,29.99,true,,,,
+3,,,,,,,,,,,,TEE-WHT-L,White,L,29.99,false,,,,
+3,,,,,,,,,,,,TEE-RED-M,Red,M,31.99,true,,,,
+4,Stainless Steel Water Bottle,Insulated stainless steel water bottle,Home & Garden,24.99,4.4,"stainless,steel,insulated",true,Hydro Flask,Silver,32oz,en,,,,,,,,,
+5,Wireless Charging Pad,Fast wireless charging pad for smartphones,Electronics,39.99,4.1,"wireless,charging,fast",true,Anker,Black,Standard,en,,,,,,,,,
+6,सूती कुर्ता,आरामदायक सूती कुर्ता,Clothing,24.99,4.3,"cotton,ethnic",true,Fabindia,White,L,hi,,,,,,,,,
+7,Banarasi Silk Saree,Haath se bani silk saree shaadi ke liye,Clothing,149.99,4.8,"silk,ethnic,wedding",true,Nalli,Red,Free Size,hinglish,,,,,,,,,`;
 
-  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
   res.setHeader('Content-Disposition', 'attachment; filename="sample-products.csv"');
   res.send(sampleCSV);
 });
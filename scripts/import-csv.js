@@ -1,6 +1,10 @@
 const fs = require('fs');
 const csv = require('csv-parser');
 const elasticsearchService = require('../services/elasticsearchService');
+const crypto = require('crypto');
+const { productsFromCsvRows } = require('../services/productCsv');
+const { keepCreatedAt } = require('../services/productValidation');
+const { withLanguage } = require('../services/language');
 
 // Sample CSV data for products
 const sampleCSVData = `id,name,description,category,price,rating,tags,inStock,brand,color,size
@@ -29,38 +33,41 @@ function createSampleCSV() {
   return csvPath;
 }
 
-// Parse CSV and convert to products
+// Parse CSV and convert to products checked against the product schema
+// (PRODUCT_SCHEMA_MODE=lenient drops unknown columns instead of rejecting the file)
 function parseCSVToProducts(csvPath) {
   return new Promise((resolve, reject) => {
-    const products = [];
+    const rows = [];
     
     fs.createReadStream(csvPath)
       .pipe(csv())
       .on('data', (row) => {
-        // Convert CSV row to product object
-        const product = {
-          id: row.id,
-          name: row.name,
-          description: row.description,
-          category: row.category,
-          price: parseFloat(row.price),
-          rating: parseFloat(row.rating),
-          tags: row.tags.split(',').map(tag => tag.trim()),
-          inStock: row.inStock === 'true',
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-          metadata: {
-            brand: row.brand,
-            color: row.color,
-            size: row.size
-          }
-        };
-        
-        products.push(product);
+        rows.push(row);
       })
       .on('end', () => {
-        console.log(`📊 Parsed ${products.length} products from CSV`);
-        resolve(products);
+        const mode = process.env.PRODUCT_SCHEMA_MODE === 'lenient' ? 'lenient' : 'strict';
+        const { products, invalid, ignoredFields } = productsFromCsvRows(rows, { mode });
+
+        if (invalid.length > 0) {
+          invalid.forEach(problem => console.error(`   row ${problem.row}: ${problem.error}`));
+          reject(new Error(`${invalid.length} problem(s) in ${csvPath}, nothing was imported`));
+          return;
+        }
+        if (ignoredFields.length > 0) {
+          console.warn(`⚠️  Ignored columns: ${ignoredFields.join(', ')}`);
+        }
+
+        // Without a lang column the language is detected
+        const now = new Date().toISOString();
+        const checked = products.map(product => withLanguage({
+          id: crypto.randomUUID(),
+          ...product,
+          createdAt: now,
+          updatedAt: now
+        }));
+
+        console.log(`📊 Parsed ${checked.length} products from CSV`);
+        resolve(checked);
       })
       .on('error', (error) => {
         reject(error);
@@ -83,15 +90,19 @@ async function importCSVData(csvPath) {
     console.log('✅ Connected to Elasticsearch');
     
     // Parse CSV data
-    const products = await parseCSVToProducts(csvPath);
+    // Products that are already in the index keep their creation date
+    const parsed = await parseCSVToProducts(csvPath);
+    const products = keepCreatedAt(parsed, await elasticsearchService.getDocuments(parsed.map(product => product.id)));
     
     // Bulk import to Elasticsearch
     console.log('⬆️  Importing products to Elasticsearch...');
-    const response = await elasticsearchService.bulkIndex(products);
+    const result = await elasticsearchService.bulkIndex(products);
     
-    if (response.errors) {
-      const errors = response.items.filter(item => item.index.error);
-      console.warn(`⚠️  Import completed with ${errors.length} errors`);
+    if (result.errors) {
+      console.warn(`⚠️  Import completed with ${result.failed} errors`);
+      result.failures.forEach(failure => {
+        console.warn(`   ${failure.id}: ${failure.reason}`);
+      });
     } else {
       console.log('✅ All products imported successfully');
     }
@@ -0,0 +1,78 @@
+const elasticsearchService = require('../services/elasticsearchService');
+
+// Print a mapping diff in a readable form
+function printDiff(diff) {
+  console.log(`📄 Live index: ${diff.index} (definition v${diff.liveVersion === null ? '?' : diff.liveVersion})`);
+  console.log(`📄 Desired definition: v${diff.desiredVersion}`);
+
+  if (diff.schemaUnsaved) {
+    console.log(`📝 config/productSchema.js has field changes not saved yet; apply saves them as v${diff.desiredVersion}`);
+  }
+
+  if (diff.inSync) {
+    console.log('✅ Index is in sync with the definition');
+  } else {
+    console.log(`⚠️  ${diff.changes.length} change(s)${diff.breaking ? ' - reindex required' : ''}:`);
+    diff.changes.forEach(change => {
+      const marker = change.breaking ? '❗' : '➕';
+      console.log(`   ${marker} [${change.kind}] ${change.path}: ${change.change}`);
+    });
+  }
+
+  if (diff.unmanagedFields.length > 0) {
+    console.log(`ℹ️  Fields not in the definition: ${diff.unmanagedFields.join(', ')}`);
+  }
+}
+
+// Show or apply the difference between the live index and mappings/products
+async function main() {
+  try {
+    const command = process.argv[2] || 'diff';
+    const dryRun = process.argv.includes('--dry-run');
+
+    if (!['diff', 'apply'].includes(command)) {
+      console.error(`Unknown command '${command}'. Usage: node scripts/mapping.js <diff|apply> [--dry-run]`);
+      process.exit(1);
+    }
+
+    // Initialize Elasticsearch connection
+    await elasticsearchService.initialize();
+    console.log('✅ Connected to Elasticsearch');
+
+    if (command === 'diff') {
+      printDiff(await elasticsearchService.diffMapping());
+      return;
+    }
+
+    const result = await elasticsearchService.applyMapping({ dryRun });
+    printDiff(result.diff);
+
+    if (result.action === 'none') {
+      console.log('🎉 Nothing to apply');
+    } else if (dryRun) {
+      console.log(`💡 Dry run: would ${result.action === 'reindex' ? 'reindex into a new version' : 'update the index in place'}` +
+        (result.closeRequired ? ' (closing it briefly to add analysis components)' : '') +
+        (result.backfillRequired ? ' and backfill the new fields' : ''));
+    } else if (result.action === 'reindex') {
+      console.log(`🎉 Reindexed into '${result.reindex.newIndex}'`);
+    } else {
+      console.log('🎉 Index updated in place' +
+        (result.backfillRequired ? ` (new fields backfilled on ${result.backfilled} documents)` : ''));
+    }
+
+    if (result.definitionVersion) {
+      console.log(`💾 Product schema changes saved as definition v${result.definitionVersion}`);
+    }
+
+  } catch (error) {
+    console.error('❌ Error running mapping migration:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { printDiff };
@@ -0,0 +1,35 @@
+const elasticsearchService = require('../services/elasticsearchService');
+
+// Permanently remove soft-deleted products that have been in the trash past the retention
+async function purgeTrash() {
+  try {
+    console.log('🗑️  Purging product trash...');
+
+    // Initialize Elasticsearch connection
+    await elasticsearchService.initialize();
+    console.log('✅ Connected to Elasticsearch');
+
+    const option = process.argv.find(arg => arg.startsWith('--retention-days='));
+    const retentionDays = option ? parseInt(option.split('=')[1]) : undefined;
+
+    if (retentionDays !== undefined && (Number.isNaN(retentionDays) || retentionDays < 0)) {
+      throw new Error('--retention-days must be a non-negative integer');
+    }
+
+    const result = await elasticsearchService.purgeDeleted(retentionDays);
+
+    console.log(`🧹 Removed ${result.purged} products deleted more than ${result.retentionDays} days ago`);
+    console.log('🎉 Trash purge completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error purging trash:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  purgeTrash();
+}
+
+module.exports = { purgeTrash };
@@ -0,0 +1,41 @@
+const elasticsearchService = require('../services/elasticsearchService');
+
+// Rebuild the products index into a new version and swap the alias onto it
+async function reindex() {
+  try {
+    console.log('🔁 Starting zero-downtime reindex...');
+
+    // Initialize Elasticsearch connection
+    await elasticsearchService.initialize();
+    console.log('✅ Connected to Elasticsearch');
+
+    const deleteOld = process.argv.includes('--delete-old');
+    const result = await elasticsearchService.reindex({ deleteOld });
+
+    console.log(`📦 Copied ${result.documents} documents in ${result.took}ms`);
+    console.log(`🔄 Caught up ${result.caughtUp} products written during the copy`);
+    if (result.deletesReplayed > 0) {
+      console.log(`🗑️  Replayed ${result.deletesReplayed} deletes made during the copy`);
+    }
+    console.log(`🔀 Alias '${result.alias}': ${result.previousIndices.join(', ')} → ${result.newIndex}`);
+
+    if (result.previousDeleted) {
+      console.log('🗑️  Previous indices deleted');
+    } else {
+      console.log('💡 Previous indices kept; rerun with --delete-old to remove them');
+    }
+
+    console.log('🎉 Reindex completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error reindexing:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  reindex();
+}
+
+module.exports = { reindex };
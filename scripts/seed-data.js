@@ -14,6 +14,16 @@ const allTags = [
   'waterproof', 'rechargeable', 'adjustable', 'multi-purpose'
 ];
 
+// Sample stores products are available at
+const stores = [
+  { storeId: 'blr-indiranagar', storeName: 'Bengaluru Indiranagar', location: { lat: 12.9719, lon: 77.6412 } },
+  { storeId: 'blr-koramangala', storeName: 'Bengaluru Koramangala', location: { lat: 12.9352, lon: 77.6245 } },
+  { storeId: 'blr-whitefield', storeName: 'Bengaluru Whitefield', location: { lat: 12.9698, lon: 77.7500 } },
+  { storeId: 'mum-bandra', storeName: 'Mumbai Bandra', location: { lat: 19.0596, lon: 72.8295 } },
+  { storeId: 'mum-andheri', storeName: 'Mumbai Andheri', location: { lat: 19.1136, lon: 72.8697 } },
+  { storeId: 'del-connaught-place', storeName: 'Delhi Connaught Place', location: { lat: 28.6315, lon: 77.2167 } }
+];
+
 // Generate sample products
 function generateProducts(count = 1000) {
   const products = [];
@@ -26,11 +36,14 @@ function generateProducts(count = 1000) {
       id: faker.datatype.uuid(),
       name: generateProductName(category),
       description: faker.lorem.paragraphs(faker.datatype.number({ min: 1, max: 3 })),
+      lang: 'en',
       category: category,
       price: parseFloat(faker.commerce.price(10, 1000, 2)),
       rating: parseFloat(faker.datatype.number({ min: 1, max: 5, precision: 0.1 })),
       tags: tags,
       inStock: faker.datatype.boolean(),
+      availability: faker.helpers.arrayElements(stores, faker.datatype.number({ min: 0, max: 3 }))
+        .map(store => ({ ...store, inStock: faker.datatype.boolean() })),
       createdAt: faker.date.past(2).toISOString(),
       updatedAt: faker.date.recent().toISOString(),
       metadata: {
@@ -93,14 +106,15 @@ async function seedData() {
     
     // Bulk insert products
     console.log('⬆️  Inserting products into Elasticsearch...');
-    const batchSize = 100;
-    let inserted = 0;
+    const result = await elasticsearchService.bulkIndex(products, {
+      onProgress: ({ processed, total }) => console.log(`   Inserted ${processed}/${total} products...`)
+    });
     
-    for (let i = 0; i < products.length; i += batchSize) {
-      const batch = products.slice(i, i + batchSize);
-      await elasticsearchService.bulkIndex(batch);
-      inserted += batch.length;
-      console.log(`   Inserted ${inserted}/${products.length} products...`);
+    if (result.errors) {
+      console.warn(`⚠️  ${result.failed} products failed to index:`);
+      result.failures.slice(0, 10).forEach(failure => {
+        console.warn(`   ${failure.id}: ${failure.reason}`);
+      });
     }
     
     // Wait for indexing to complete
@@ -0,0 +1,93 @@
+const elasticsearchService = require('../services/elasticsearchService');
+
+const USAGE = 'Usage: node scripts/snapshot.js <register|create|list|restore|delete|swap> [name|index] ' +
+  '[--location=PATH] [--index=NAME] [--source-index=NAME] [--delete-old]';
+
+function option(name) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+function printSnapshot(snapshot) {
+  const duration = snapshot.durationMs === null ? '' : ` in ${snapshot.durationMs}ms`;
+  console.log(`   📸 ${snapshot.name} [${snapshot.state}] ${snapshot.startTime || ''}${duration} - ${snapshot.indices.join(', ')}` +
+    (snapshot.trigger ? ` (${snapshot.trigger})` : ''));
+}
+
+// Back up the products index to the snapshot repository and restore it from there
+async function main() {
+  try {
+    const command = process.argv[2];
+    const argument = process.argv[3] && !process.argv[3].startsWith('--') ? process.argv[3] : undefined;
+
+    if (!['register', 'create', 'list', 'restore', 'delete', 'swap'].includes(command)) {
+      console.error(command ? `Unknown command '${command}'. ${USAGE}` : USAGE);
+      process.exit(1);
+    }
+    if (['restore', 'delete', 'swap'].includes(command) && !argument) {
+      console.error(`'${command}' needs a ${command === 'swap' ? 'index' : 'snapshot'} name. ${USAGE}`);
+      process.exit(1);
+    }
+
+    // Initialize Elasticsearch connection
+    await elasticsearchService.initialize();
+    console.log('✅ Connected to Elasticsearch');
+
+    if (command === 'register') {
+      const repository = await elasticsearchService.registerSnapshotRepository(option('location'));
+      console.log(`🎉 Repository '${repository.name}' registered at ${repository.location}`);
+      return;
+    }
+
+    if (command === 'create') {
+      console.log('📸 Taking snapshot...');
+      const snapshot = await elasticsearchService.createSnapshot({ name: argument, waitForCompletion: true });
+      printSnapshot(snapshot);
+      console.log(snapshot.state === 'SUCCESS' ? '🎉 Snapshot completed successfully!' : `⚠️  Snapshot finished as ${snapshot.state}`);
+      return;
+    }
+
+    if (command === 'list') {
+      const snapshots = await elasticsearchService.listSnapshots();
+      console.log(`📦 ${snapshots.length} snapshot(s) in '${elasticsearchService.snapshotRepository}':`);
+      snapshots.forEach(printSnapshot);
+      return;
+    }
+
+    if (command === 'restore') {
+      console.log(`♻️  Restoring snapshot '${argument}'...`);
+      const result = await elasticsearchService.restoreSnapshot(argument, {
+        targetIndex: option('index'),
+        sourceIndex: option('source-index')
+      });
+      console.log(`📦 Restored ${result.sourceIndex} → ${result.index} (${result.documents} documents) in ${result.took}ms`);
+      console.log(`💡 Check '${result.index}', then run: npm run snapshot -- swap ${result.index}`);
+      return;
+    }
+
+    if (command === 'delete') {
+      await elasticsearchService.deleteSnapshot(argument);
+      console.log(`🗑️  Snapshot '${argument}' deleted`);
+      return;
+    }
+
+    const result = await elasticsearchService.swapAlias(argument, { deleteOld: process.argv.includes('--delete-old') });
+    if (!result.changed) {
+      console.log(`ℹ️  Alias '${result.alias}' already points to '${result.newIndex}'`);
+    } else {
+      console.log(`🔀 Alias '${result.alias}': ${result.previousIndices.join(', ') || '(none)'} → ${result.newIndex}`);
+      console.log(result.previousDeleted ? '🗑️  Previous indices deleted' : '💡 Previous indices kept; rerun with --delete-old to remove them');
+    }
+
+  } catch (error) {
+    console.error('❌ Error running snapshot command:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { printSnapshot };
@@ -13,6 +13,9 @@ const performanceRoutes = require('./routes/performance');
 const uploadRoutes = require('./routes/upload');
 const analyzerRoutes = require('./routes/analyzers');
 const aggregationRoutes = require('./routes/aggregations');
+const adminRoutes = require('./routes/admin');
+const synonymRoutes = require('./routes/synonyms');
+const { reloadSynonyms } = require('./services/synonyms');
 const { setupSwagger } = require('./config/swagger');
 
 const app = express();
@@ -20,25 +23,32 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json']
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
     const health = await elasticsearchService.healthCheck();
+    const resilience = elasticsearchService.getResilienceStats();
     res.json({
-      status: 'OK',
+      status: resilience.breaker.state === 'closed' ? 'OK' : 'DEGRADED',
       timestamp: new Date().toISOString(),
-      elasticsearch: health
+      elasticsearch: health,
+      resilience: resilience
     });
   } catch (error) {
+    const resilience = elasticsearchService.getResilienceStats();
     res.status(503).json({
-      status: 'ERROR',
+      status: resilience.breaker.state === 'closed' ? 'ERROR' : 'DEGRADED',
       timestamp: new Date().toISOString(),
-      error: error.message
+      error: error.message,
+      resilience: resilience
     });
   }
 });
@@ -54,6 +64,8 @@ app.use('/api/performance', performanceRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/analyzers', analyzerRoutes);
 app.use('/api/aggregations', aggregationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/synonyms', synonymRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -85,10 +97,49 @@ app.listen(PORT, async () => {
   try {
     await elasticsearchService.initialize();
     console.log('✅ Elasticsearch connection established');
+
+    // Bring the search analyzers in line with the synonyms file
+    try {
+      const reload = await reloadSynonyms();
+      console.log(`🔤 Synonyms version ${reload.version} active${reload.loadedVersion ? ', the cluster reads the same file' : ''}`);
+    } catch (error) {
+      console.error('❌', error.message);
+    }
   } catch (error) {
     console.error('❌ Failed to connect to Elasticsearch:', error.message);
     console.log('💡 Make sure Elasticsearch is running on localhost:9200');
   }
+
+  // Optionally purge the product trash on a schedule
+  const purgeIntervalHours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS);
+  if (purgeIntervalHours > 0) {
+    setInterval(async () => {
+      try {
+        const result = await elasticsearchService.purgeDeleted();
+        console.log(`🗑️  Purged ${result.purged} products deleted more than ${result.retentionDays} days ago`);
+      } catch (error) {
+        console.error('❌ Failed to purge trash:', error.message);
+      }
+    }, purgeIntervalHours * 60 * 60 * 1000).unref();
+    console.log(`🗑️  Trash purge scheduled every ${purgeIntervalHours}h`);
+  }
+
+  // Optionally snapshot the products index on a schedule, keeping the newest SNAPSHOT_KEEP
+  const snapshotIntervalHours = parseFloat(process.env.SNAPSHOT_INTERVAL_HOURS);
+  if (snapshotIntervalHours > 0) {
+    const keep = parseInt(process.env.SNAPSHOT_KEEP) || 7;
+    setInterval(async () => {
+      try {
+        const snapshot = await elasticsearchService.createSnapshot({ trigger: 'scheduled', waitForCompletion: true });
+        const pruned = await elasticsearchService.pruneScheduledSnapshots(keep);
+        console.log(`📸 Snapshot '${snapshot.name}' finished as ${snapshot.state}` +
+          (pruned.length > 0 ? `, removed ${pruned.length} older scheduled snapshot(s)` : ''));
+      } catch (error) {
+        console.error('❌ Failed to take scheduled snapshot:', error.message);
+      }
+    }, snapshotIntervalHours * 60 * 60 * 1000).unref();
+    console.log(`📸 Snapshots scheduled every ${snapshotIntervalHours}h (keeping ${keep})`);
+  }
 });
 
 module.exports = app;
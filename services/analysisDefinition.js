@@ -0,0 +1,227 @@
+const elasticsearchService = require('./elasticsearchService');
+const { ANALYSIS_SECTIONS, isEqual, flattenProperties } = require('./mappingDiff');
+
+// Analyzer definitions sent to the analyzers API have the shape of the analysis
+// settings and hold only the components that are new or changed, e.g.
+//   {
+//     filter: { shingle_filter: { type: 'shingle', max_shingle_size: 3 } },
+//     analyzer: { shingle_analyzer: { type: 'custom', tokenizer: 'standard', filter: ['lowercase', 'shingle_filter'] } }
+//   }
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const DEFAULT_SAMPLE_TEXT = 'Wireless Bluetooth Headphones for Smartphones';
+const BUILT_IN_ANALYZERS = {
+  standard: 'Standard Elasticsearch analyzer',
+  simple: 'Splits on non-letters and lowercases',
+  whitespace: 'Splits on whitespace only',
+  keyword: 'Keeps the whole input as one token'
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNameList(value) {
+  return value === undefined || (Array.isArray(value) && value.every(name => typeof name === 'string'));
+}
+
+// Returns a list of problems; an empty list means the definition can be tested
+function validateAnalysisDefinition(definition) {
+  if (!isObject(definition) || Object.keys(definition).length === 0) {
+    return ['analysis must be an object with at least one section'];
+  }
+
+  const errors = [];
+
+  Object.entries(definition).forEach(([section, components]) => {
+    if (!ANALYSIS_SECTIONS.includes(section)) {
+      errors.push(`analysis.${section} is not one of ${ANALYSIS_SECTIONS.join(', ')}`);
+      return;
+    }
+    if (!isObject(components)) {
+      errors.push(`analysis.${section} must be an object`);
+      return;
+    }
+
+    Object.entries(components).forEach(([name, component]) => {
+      const path = `analysis.${section}.${name}`;
+
+      if (!NAME_PATTERN.test(name)) {
+        errors.push(`${path}: names may only contain lowercase letters, digits and '_'`);
+      }
+      if (!isObject(component) || typeof component.type !== 'string') {
+        errors.push(`${path} must be an object with a type`);
+        return;
+      }
+      if (section === 'analyzer' && component.type === 'custom' && typeof component.tokenizer !== 'string') {
+        errors.push(`${path}: a custom analyzer needs a tokenizer`);
+      }
+      if (!isNameList(component.filter) || !isNameList(component.char_filter)) {
+        errors.push(`${path}: filter and char_filter must be lists of names`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// A sample runs text through one analyzer (or every affected one) and may list the tokens it expects
+function validateSamples(samples) {
+  if (samples === undefined) {
+    return [];
+  }
+  if (!Array.isArray(samples)) {
+    return ['samples must be an array'];
+  }
+
+  const errors = [];
+  samples.forEach((sample, index) => {
+    if (!isObject(sample) || typeof sample.text !== 'string' || sample.text === '') {
+      errors.push(`samples[${index}].text must be a non-empty string`);
+      return;
+    }
+    if (sample.analyzer !== undefined && typeof sample.analyzer !== 'string') {
+      errors.push(`samples[${index}].analyzer must be a string`);
+    }
+    if (sample.expected !== undefined && !(Array.isArray(sample.expected) && sample.expected.every(token => typeof token === 'string'))) {
+      errors.push(`samples[${index}].expected must be a list of tokens`);
+    }
+  });
+  return errors;
+}
+
+function mergeAnalysis(analysis = {}, definition = {}) {
+  const merged = { ...analysis };
+  Object.entries(definition).forEach(([section, components]) => {
+    merged[section] = { ...(analysis[section] || {}), ...components };
+  });
+  return merged;
+}
+
+// Lists the components the definition adds to or changes in the analysis settings
+function analysisChanges(analysis = {}, definition = {}) {
+  const added = [];
+  const changed = [];
+
+  Object.entries(definition).forEach(([section, components]) => {
+    Object.entries(components).forEach(([name, component]) => {
+      const current = (analysis[section] || {})[name];
+      if (!current) {
+        added.push(`${section}.${name}`);
+      } else if (!isEqual(current, component)) {
+        changed.push(`${section}.${name}`);
+      }
+    });
+  });
+
+  return { added, changed };
+}
+
+// Analyzers defined by the definition, or built from a tokenizer or filter it defines
+function affectedAnalyzers(merged, definition) {
+  const defined = (section) => Object.keys(definition[section] || {});
+
+  return Object.entries(merged.analyzer || {})
+    .filter(([name, analyzer]) =>
+      defined('analyzer').includes(name) ||
+      defined('tokenizer').includes(analyzer.tokenizer) ||
+      (analyzer.filter || []).some(filter => defined('filter').includes(filter)) ||
+      (analyzer.char_filter || []).some(charFilter => defined('char_filter').includes(charFilter))
+    )
+    .map(([name]) => name);
+}
+
+// Runs the samples against the current analysis settings merged with the definition.
+// Samples without an analyzer run through every affected analyzer; without samples
+// each affected analyzer gets a default text.
+async function testDefinition(analysis, definition, samples) {
+  const merged = mergeAnalysis(analysis, definition);
+  const affected = affectedAnalyzers(merged, definition);
+
+  const runs = (samples || [{ text: DEFAULT_SAMPLE_TEXT }]).flatMap(sample => {
+    const analyzers = sample.analyzer ? [sample.analyzer] : affected;
+    return analyzers.map(analyzer => ({ analyzer, text: sample.text, ...(sample.expected && { expected: sample.expected }) }));
+  });
+
+  const result = await elasticsearchService.testAnalysis(merged, runs);
+  const results = result.samples.map(sample => ({
+    ...sample,
+    passed: !sample.error && (!sample.expected || JSON.stringify(sample.tokens) === JSON.stringify(sample.expected))
+  }));
+
+  const failures = result.error
+    ? [result.error]
+    : results.filter(sample => !sample.passed).map(sample => sample.error
+      ? `${sample.analyzer}: ${sample.error}`
+      : `${sample.analyzer}: expected [${sample.expected.join(', ')}] but got [${sample.tokens.join(', ')}]`);
+
+  return {
+    valid: failures.length === 0,
+    analysis: merged,
+    changes: analysisChanges(analysis, definition),
+    samples: results,
+    failures: failures
+  };
+}
+
+function describeAnalyzer(analyzer) {
+  if (analyzer.type !== 'custom') {
+    return `${analyzer.type} analyzer`;
+  }
+
+  const steps = [
+    ...(analyzer.char_filter || []),
+    `${analyzer.tokenizer} tokenizer`,
+    ...(analyzer.filter || [])
+  ];
+  return `Custom analyzer: ${steps.join(' → ')}`;
+}
+
+// Describes every analyzer in the live settings (plus the common built-ins) and the
+// fields that index or search with it
+function describeAnalyzers(analysis = {}, mappings = {}) {
+  const fields = {};
+  const use = (analyzer, field) => {
+    fields[analyzer] = [...(fields[analyzer] || []), field];
+  };
+
+  Object.entries(flattenProperties(mappings.properties)).forEach(([path, params]) => {
+    if (params.analyzer) {
+      use(params.analyzer, path);
+    } else if (params.type === 'text') {
+      use('standard', path);
+    }
+    if (params.search_analyzer) {
+      use(params.search_analyzer, `${path} (search)`);
+    }
+  });
+
+  const analyzers = {};
+
+  Object.entries(analysis.analyzer || {}).forEach(([name, analyzer]) => {
+    analyzers[name] = {
+      description: describeAnalyzer(analyzer),
+      type: analyzer.type,
+      tokenizer: analyzer.tokenizer || null,
+      filters: analyzer.filter || [],
+      charFilters: analyzer.char_filter || [],
+      fields: fields[name] || [],
+      builtIn: false
+    };
+  });
+
+  Object.entries(BUILT_IN_ANALYZERS).forEach(([name, description]) => {
+    if (!analyzers[name]) {
+      analyzers[name] = { description, type: name, fields: fields[name] || [], builtIn: true };
+    }
+  });
+
+  return analyzers;
+}
+
+module.exports = {
+  validateAnalysisDefinition,
+  validateSamples,
+  testDefinition,
+  describeAnalyzers
+};
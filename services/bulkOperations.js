@@ -0,0 +1,225 @@
+const { loadIndexDefinition } = require('../config/indexDefinition');
+const { REQUIRED_FIELDS, PROTECTED_FIELDS, fieldError } = require('./productValidation');
+
+// Declarative changes applied to every product matched by an update-by-query:
+//   { op: 'set', field: 'inStock', value: false }
+//   { op: 'multiply', field: 'price', value: 0.9, decimals: 2 }
+//   { op: 'increment', field: 'metadata.weight', value: -0.5 }
+//   { op: 'addTag', value: 'sale' } / { op: 'removeTag', value: 'sale' }
+// They run as a Painless script in Elasticsearch and as plain JavaScript in the
+// in-memory backend and in dry-run previews; both must behave the same.
+
+const OPERATIONS = ['set', 'multiply', 'increment', 'addTag', 'removeTag'];
+const NUMERIC_TYPES = ['float', 'double', 'half_float', 'scaled_float', 'integer', 'long', 'short', 'byte'];
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const READ_ONLY_FIELDS = [...PROTECTED_FIELDS, 'updatedAt'];
+
+// Maps each leaf field of the products mapping (e.g. 'metadata.brand') to its type.
+// Nested fields (variants, availability) are arrays of objects that the operations
+// cannot address one by one, so they are listed as 'nested' without their subfields.
+function mappedFieldTypes(properties = loadIndexDefinition().mappings.properties, prefix = '') {
+  const types = {};
+
+  Object.entries(properties).forEach(([name, definition]) => {
+    const path = prefix ? `${prefix}.${name}` : name;
+    if (definition.type === 'nested') {
+      types[path] = 'nested';
+    } else if (definition.properties) {
+      Object.assign(types, mappedFieldTypes(definition.properties, path));
+    } else {
+      types[path] = definition.type;
+    }
+  });
+  return types;
+}
+
+function acceptsValue(type, value) {
+  if (NUMERIC_TYPES.includes(type)) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  if (type === 'boolean') {
+    return typeof value === 'boolean';
+  }
+  if (type === 'date') {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+  }
+  // text and keyword fields hold a string or an array of strings
+  return typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+}
+
+// Returns a list of problems; an empty list means the operations can run
+function validateOperations(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return ['operations must be a non-empty array'];
+  }
+
+  const types = mappedFieldTypes();
+  const errors = [];
+
+  operations.forEach((operation, index) => {
+    const { op, field, value, decimals } = operation || {};
+    const prefix = `operations[${index}]`;
+
+    if (!OPERATIONS.includes(op)) {
+      errors.push(`${prefix}.op must be one of ${OPERATIONS.join(', ')}`);
+      return;
+    }
+
+    if (op === 'addTag' || op === 'removeTag') {
+      if (typeof value !== 'string' || value.trim() === '') {
+        errors.push(`${prefix}.value must be a non-empty string`);
+      }
+      return;
+    }
+
+    const nestedField = typeof field === 'string' && Object.keys(types).find(path => (
+      types[path] === 'nested' && (field === path || field.startsWith(`${path}.`))
+    ));
+    if (nestedField) {
+      errors.push(`${prefix}.field '${field}' is in the nested field '${nestedField}', which operations cannot change`);
+      return;
+    }
+    if (typeof field !== 'string' || !FIELD_PATTERN.test(field) || !types[field]) {
+      errors.push(`${prefix}.field must be a mapped product field`);
+      return;
+    }
+    if (READ_ONLY_FIELDS.includes(field)) {
+      errors.push(`${prefix}.field '${field}' cannot be changed`);
+      return;
+    }
+
+    if (op === 'set') {
+      if (value === null ? REQUIRED_FIELDS.includes(field) : !acceptsValue(types[field], value)) {
+        errors.push(`${prefix}.value is not a valid ${types[field]} value for '${field}'`);
+        return;
+      }
+      // The product schema may limit the value further, e.g. rating to 0-5
+      const problem = value === null ? null : fieldError(field, value);
+      if (problem) {
+        errors.push(`${prefix}.value: ${problem}`);
+      }
+      return;
+    }
+
+    if (!NUMERIC_TYPES.includes(types[field])) {
+      errors.push(`${prefix}: ${op} needs a numeric field, '${field}' is ${types[field]}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${prefix}.value must be a number`);
+    }
+    if (decimals !== undefined && (!Number.isInteger(decimals) || decimals < 0 || decimals > 6)) {
+      errors.push(`${prefix}.decimals must be an integer between 0 and 6`);
+    }
+  });
+
+  return errors;
+}
+
+function round(value, decimals) {
+  if (decimals === undefined) {
+    return value;
+  }
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Returns a copy of the product with the operations applied
+function applyOperations(product, operations, now = new Date().toISOString()) {
+  const result = JSON.parse(JSON.stringify(product));
+
+  operations.forEach(({ op, field, value, decimals }) => {
+    if (op === 'addTag' || op === 'removeTag') {
+      const tags = result.tags === undefined || result.tags === null ? [] : [].concat(result.tags);
+      result.tags = op === 'addTag'
+        ? (tags.includes(value) ? tags : [...tags, value])
+        : tags.filter(tag => tag !== value);
+      return;
+    }
+
+    const path = field.split('.');
+    const key = path.pop();
+    let target = result;
+
+    // Missing objects are created for set; any other value on the way is left alone
+    for (const name of path) {
+      if (op === 'set' && (target[name] === undefined || target[name] === null)) {
+        target[name] = {};
+      }
+      if (!target[name] || typeof target[name] !== 'object' || Array.isArray(target[name])) {
+        return;
+      }
+      target = target[name];
+    }
+
+    if (op === 'set') {
+      target[key] = value;
+    } else if (typeof target[key] === 'number') {
+      target[key] = round(op === 'multiply' ? target[key] * value : target[key] + value, decimals);
+    }
+  });
+
+  result.updatedAt = now;
+  return result;
+}
+
+// Compiles the operations into an update-by-query script. Field names are checked
+// against FIELD_PATTERN by validateOperations; values are only ever passed as params.
+function toPainlessScript(operations, now = new Date().toISOString()) {
+  const roundExpression = (expression, decimals) => {
+    if (decimals === undefined) {
+      return expression;
+    }
+    const factor = Math.pow(10, decimals);
+    return `Math.round((${expression}) * ${factor}.0) / ${factor}.0`;
+  };
+
+  const statements = operations.map(({ op, field, decimals }, index) => {
+    const value = `params.values[${index}]`;
+
+    if (op === 'addTag') {
+      return `if (ctx._source.tags == null) { ctx._source.tags = new ArrayList(); } ` +
+        `else if (!(ctx._source.tags instanceof List)) { ctx._source.tags = [ctx._source.tags]; } ` +
+        `if (!ctx._source.tags.contains(${value})) { ctx._source.tags.add(${value}); }`;
+    }
+    if (op === 'removeTag') {
+      return `if (ctx._source.tags instanceof List) { ctx._source.tags.removeIf(tag -> tag == ${value}); } ` +
+        `else if (ctx._source.tags == ${value}) { ctx._source.tags = new ArrayList(); }`;
+    }
+
+    // Every operation walks from the document root with its own variable
+    const target = `target${index}`;
+    const path = field.split('.');
+    const key = path.pop();
+
+    // set creates missing objects on the way; like the numeric operations it skips
+    // products where a value other than an object is in the way
+    if (op === 'set') {
+      const assign = path.reduceRight(
+        (inner, name) => `if (${target}['${name}'] == null) { ${target}['${name}'] = new HashMap(); } ` +
+          `if (${target}['${name}'] instanceof Map) { ${target} = ${target}['${name}']; ${inner} }`,
+        `${target}['${key}'] = ${value};`
+      );
+      return `def ${target} = ctx._source; ${assign}`;
+    }
+
+    // Numeric operations skip products that lack the field
+    const update = `if (${target}['${key}'] instanceof Number) { ${target}['${key}'] = ` +
+      roundExpression(`${target}['${key}'] ${op === 'multiply' ? '*' : '+'} ${value}`, decimals) + '; }';
+    const guarded = path.reduceRight(
+      (inner, name) => `if (${target}['${name}'] instanceof Map) { ${target} = ${target}['${name}']; ${inner} }`,
+      update
+    );
+    return `def ${target} = ctx._source; ${guarded}`;
+  });
+
+  return {
+    lang: 'painless',
+    source: [...statements, 'ctx._source.updatedAt = params.now;'].join('\n'),
+    params: {
+      now: now,
+      values: operations.map(operation => operation.value)
+    }
+  };
+}
+
+module.exports = { OPERATIONS, validateOperations, applyOperations, toPainlessScript };
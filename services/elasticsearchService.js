@@ -1,26 +1,70 @@
 const elasticsearch = require('elasticsearch');
+const { loadIndexDefinition, saveIndexDefinition } = require('../config/indexDefinition');
+const { buildClientConfig, describeConnectionError } = require('../config/elasticsearch');
+const { diffDefinitions } = require('./mappingDiff');
+const { ResiliencePolicy } = require('./resiliencePolicy');
+const { DELETED_FILTER, excludeDeleted, trashRetentionDays } = require('./softDelete');
+const { toPainlessScript } = require('./bulkOperations');
+const { SUGGEST_PIPELINE, SUGGEST_PIPELINE_BODY } = require('./suggestions');
+
+// Reindex catch-up passes reach back this far before the pass they follow started, to
+// allow for clock differences between the servers that stamp updatedAt
+const CATCH_UP_MARGIN_MS = 60 * 1000;
+const catchUpFrom = () => new Date(Date.now() - CATCH_UP_MARGIN_MS).toISOString();
 
 class ElasticsearchService {
   constructor() {
     this.client = null;
     this.indexName = process.env.ELASTICSEARCH_INDEX_NAME || 'products';
+    this.historyIndexName = process.env.ELASTICSEARCH_HISTORY_INDEX_NAME || `${this.indexName}_history`;
+    this.snapshotRepository = process.env.ELASTICSEARCH_SNAPSHOT_REPOSITORY || `${this.indexName}_backups`;
+    this.snapshotLocation = process.env.ELASTICSEARCH_SNAPSHOT_LOCATION || '/usr/share/elasticsearch/snapshots';
+    this.reindexInProgress = false;
+    // Queries of the hard deletes made while a reindex runs, replayed on its new index
+    this.reindexDeletes = [];
+    this.mappingInProgress = false;
+    this.resilience = ResiliencePolicy.fromEnv();
+    this.bulkOptions = {
+      batchSize: parseInt(process.env.BULK_INSERT_SIZE) || 1000,
+      maxBytes: parseInt(process.env.BULK_MAX_BYTES) || 5 * 1024 * 1024,
+      concurrency: parseInt(process.env.BULK_CONCURRENCY) || 2,
+      retryLimit: parseInt(process.env.BULK_RETRY_LIMIT) || 3
+    };
+  }
+
+  // Runs a client API call (e.g. 'indices.create') under the retry, timeout and
+  // circuit-breaker policy for its operation type: search, read, write, bulk or admin.
+  // An explicit requestTimeout in params overrides the operation timeout.
+  execute(operation, method, params = {}) {
+    const path = method.split('.');
+    const name = path.pop();
+    const api = path.reduce((target, key) => target[key], this.client);
+
+    return this.resilience.run(operation, (timeout) => api[name]({ requestTimeout: timeout, ...params }));
+  }
+
+  getResilienceStats() {
+    return this.resilience.getStats();
   }
 
   async initialize() {
     try {
-      this.client = new elasticsearch.Client({
-        host: process.env.ELASTICSEARCH_HOST || 'localhost:9200',
-        log: 'error',
-        requestTimeout: 30000,
-        pingTimeout: 3000
-      });
+      this.client = new elasticsearch.Client(buildClientConfig());
 
       // Test connection
-      await this.client.ping();
+      try {
+        await this.execute('read', 'ping');
+      } catch (error) {
+        throw new Error(describeConnectionError(error));
+      }
       console.log('Elasticsearch client initialized successfully');
       
+      // The index definition names the ingest pipeline, so it has to exist first
+      await this.putIngestPipelines();
+
       // Create index if it doesn't exist
       await this.createIndex();
+      await this.createHistoryIndex();
       
       return true;
     } catch (error) {
@@ -31,7 +75,7 @@ class ElasticsearchService {
 
   async healthCheck() {
     try {
-      const response = await this.client.cluster.health();
+      const response = await this.execute('read', 'cluster.health');
       return {
         status: response.status,
         cluster_name: response.cluster_name,
@@ -43,104 +87,83 @@ class ElasticsearchService {
     }
   }
 
+  // Creates or updates the pipelines the products index runs on every write
+  async putIngestPipelines() {
+    await this.execute('admin', 'ingest.putPipeline', { id: SUGGEST_PIPELINE, body: SUGGEST_PIPELINE_BODY });
+  }
+
+  // Returns the settings and mappings every physical products index is created with,
+  // from the latest definition unless another one is given
+  getIndexDefinition(definition = loadIndexDefinition()) {
+    const { settings, mappings } = definition;
+    return { settings, mappings };
+  }
+
+  getVersionedIndexName(version) {
+    return `${this.indexName}_v${version}`;
+  }
+
+  parseIndexVersion(index) {
+    const match = index.match(new RegExp(`^${this.indexName}_v(\\d+)$`));
+    return match ? parseInt(match[1]) : null;
+  }
+
+  // Resolves the physical indices behind the alias. A legacy concrete index
+  // that carries the alias name itself is reported with `legacy: true`.
+  async resolveIndices() {
+    const aliasExists = await this.execute('read', 'indices.existsAlias', { name: this.indexName });
+
+    if (aliasExists) {
+      const response = await this.execute('read', 'indices.getAlias', { name: this.indexName });
+      return { legacy: false, indices: Object.keys(response) };
+    }
+
+    const indexExists = await this.execute('read', 'indices.exists', { index: this.indexName });
+    return { legacy: indexExists, indices: indexExists ? [this.indexName] : [] };
+  }
+
+  async getNextIndexVersion() {
+    const response = await this.execute('read', 'indices.get', {
+      index: `${this.indexName}_v*`,
+      ignoreUnavailable: true,
+      allowNoIndices: true
+    });
+
+    const versions = Object.keys(response)
+      .map(index => this.parseIndexVersion(index))
+      .filter(version => version !== null);
+
+    return versions.length > 0 ? Math.max(...versions) + 1 : 1;
+  }
+
   async createIndex() {
     try {
-      const exists = await this.client.indices.exists({ index: this.indexName });
+      const { indices } = await this.resolveIndices();
       
-      if (!exists) {
-        const mapping = {
-          index: this.indexName,
+      if (indices.length === 0) {
+        const physicalIndex = this.getVersionedIndexName(await this.getNextIndexVersion());
+
+        await this.execute('admin', 'indices.create', {
+          index: physicalIndex,
           body: {
-            settings: {
-              number_of_shards: 1,
-              number_of_replicas: 0,
-              analysis: {
-                analyzer: {
-                  custom_analyzer: {
-                    type: 'custom',
-                    tokenizer: 'standard',
-                    filter: ['lowercase', 'stop', 'snowball', 'synonym_filter']
-                  },
-                  keyword_analyzer: {
-                    type: 'custom',
-                    tokenizer: 'keyword',
-                    filter: ['lowercase']
-                  },
-                  autocomplete_analyzer: {
-                    type: 'custom',
-                    tokenizer: 'standard',
-                    filter: ['lowercase', 'autocomplete_filter']
-                  }
-                },
-                filter: {
-                  synonym_filter: {
-                    type: 'synonym',
-                    synonyms: [
-                      'smartphone,phone,mobile',
-                      'laptop,notebook,computer',
-                      'headphones,earphones,earbuds',
-                      'wireless,bluetooth,wi-fi'
-                    ]
-                  },
-                  autocomplete_filter: {
-                    type: 'edge_ngram',
-                    min_gram: 1,
-                    max_gram: 20
-                  }
-                }
-              }
-            },
-            mappings: {
-              properties: {
-                id: { type: 'keyword' },
-                name: { 
-                  type: 'text',
-                  analyzer: 'custom_analyzer',
-                  fields: {
-                    keyword: { type: 'keyword' },
-                    autocomplete: { 
-                      type: 'text',
-                      analyzer: 'autocomplete_analyzer'
-                    }
-                  }
-                },
-                description: { 
-                  type: 'text',
-                  analyzer: 'custom_analyzer',
-                  fields: {
-                    keyword: { type: 'keyword' }
-                  }
-                },
-                category: { 
-                  type: 'keyword',
-                  fields: {
-                    text: { type: 'text' }
-                  }
-                },
-                price: { type: 'double' },
-                rating: { type: 'double' },
-                tags: { type: 'keyword' },
-                inStock: { type: 'boolean' },
-                createdAt: { type: 'date' },
-                updatedAt: { type: 'date' },
-                metadata: {
-                  type: 'object',
-                  properties: {
-                    brand: { type: 'keyword' },
-                    color: { type: 'keyword' },
-                    size: { type: 'keyword' },
-                    weight: { type: 'double' }
-                  }
-                }
-              }
+            ...this.getIndexDefinition(),
+            aliases: {
+              [this.indexName]: { is_write_index: true }
             }
           }
-        };
-
-        await this.client.indices.create(mapping);
-        console.log(`Index '${this.indexName}' created successfully`);
+        });
+        console.log(`Index '${physicalIndex}' created successfully behind alias '${this.indexName}'`);
       } else {
-        console.log(`Index '${this.indexName}' already exists`);
+        console.log(`Index '${this.indexName}' already exists (${indices.join(', ')})`);
+
+        const diff = await this.diffMapping();
+        if (!diff.inSync) {
+          console.warn(
+            `Index '${this.indexName}' has drifted from definition v${diff.desiredVersion}: ` +
+            `${diff.changes.length} change(s)${diff.breaking ? ', reindex required' : ''}. ` +
+            'Run `npm run mapping:diff` for details.'
+          );
+        }
       }
     } catch (error) {
       console.error('Error creating index:', error);
@@ -148,12 +171,31 @@ class ElasticsearchService {
     }
   }
 
+  // The history index is append-only and never reindexed, so it is a plain index
+  async createHistoryIndex() {
+    try {
+      const exists = await this.execute('read', 'indices.exists', { index: this.historyIndexName });
+
+      if (!exists) {
+        const { settings, mappings } = loadIndexDefinition('product_history');
+        await this.execute('admin', 'indices.create', {
+          index: this.historyIndexName,
+          body: { settings, mappings }
+        });
+        console.log(`History index '${this.historyIndexName}' created successfully`);
+      }
+    } catch (error) {
+      console.error('Error creating history index:', error);
+      throw error;
+    }
+  }
+
   async deleteIndex() {
     try {
-      const exists = await this.client.indices.exists({ index: this.indexName });
-      if (exists) {
-        await this.client.indices.delete({ index: this.indexName });
-        console.log(`Index '${this.indexName}' deleted successfully`);
+      const { indices } = await this.resolveIndices();
+      if (indices.length > 0) {
+        await this.execute('admin', 'indices.delete', { index: indices });
+        console.log(`Index '${this.indexName}' deleted successfully (${indices.join(', ')})`);
       }
     } catch (error) {
       console.error('Error deleting index:', error);
@@ -161,9 +203,622 @@ class ElasticsearchService {
     }
   }
 
+  // Reads the mapping and settings of the write index behind the alias
+  async getLiveDefinition() {
+    const { indices } = await this.resolveIndices();
+
+    if (indices.length === 0) {
+      throw new Error(`Index '${this.indexName}' does not exist`);
+    }
+
+    const writeIndex = indices[indices.length - 1];
+    const mappingResponse = await this.execute('read', 'indices.getMapping', { index: writeIndex });
+    const settingsResponse = await this.execute('read', 'indices.getSettings', { index: writeIndex });
+
+    return {
+      index: writeIndex,
+      mappings: mappingResponse[writeIndex].mappings,
+      settings: settingsResponse[writeIndex].settings
+    };
+  }
+
+  async diffMapping(desired = loadIndexDefinition()) {
+    try {
+      const live = await this.getLiveDefinition();
+
+      return {
+        index: live.index,
+        ...diffDefinitions(live, desired),
+        ...(desired.unsaved && { schemaUnsaved: true })
+      };
+    } catch (error) {
+      console.error('Error diffing mapping:', error);
+      throw error;
+    }
+  }
+
+  // Brings the live index in line with a definition, by default the latest one from the
+  // files: additive changes go straight into the existing index, breaking ones trigger a
+  // reindex. New analysis components are added with a close/update/open of the index
+  // unless a reindex is asked for. An `unsaved` definition (changed product schema fields,
+  // or an analyzer change) is only saved as the next version once it has been applied, so
+  // the files never get ahead of the index. Only one apply runs at a time.
+  async applyMapping({ dryRun = false, reindex = false, definition = loadIndexDefinition() } = {}) {
+    if (dryRun) {
+      return { ...(await this.planMapping(definition, reindex)), dryRun: true };
+    }
+    if (this.mappingInProgress || this.reindexInProgress) {
+      const error = new Error('A mapping change or reindex is already in progress');
+      error.status = 409;
+      throw error;
+    }
+
+    this.mappingInProgress = true;
+    try {
+      const result = await this.planMapping(definition, reindex);
+
+      if (result.action === 'reindex') {
+        result.reindex = await this.reindex({ definition });
+      } else if (result.action === 'update') {
+        result.backfilled = await this.updateMapping(result.diff, definition);
+      }
+
+      if (definition.unsaved) {
+        result.definitionVersion = saveIndexDefinition(definition);
+        console.log(`Definition v${result.definitionVersion} applied and saved`);
+      }
+      return result;
+    } catch (error) {
+      console.error('Error applying mapping:', error);
+      throw error;
+    } finally {
+      this.mappingInProgress = false;
+    }
+  }
+
+  // What applyMapping would do to bring the live index in line with the definition
+  async planMapping(definition, reindex = false) {
+    const diff = await this.diffMapping(definition);
+
+    if (diff.inSync) {
+      return { action: 'none', diff };
+    }
+
+    const action = diff.breaking || reindex ? 'reindex' : 'update';
+    return {
+      action,
+      closeRequired: action === 'update' && diff.requiresClose,
+      backfillRequired: action === 'update' && diff.requiresBackfill,
+      diff
+    };
+  }
+
+  // Applies additive changes to the live index in place; returns the number of documents
+  // backfilled, if new fields needed it
+  async updateMapping(diff, definition) {
+    const { mappings } = this.getIndexDefinition(definition);
+    const analysisChanges = diff.changes.filter(change => change.requiresClose);
+    const settingChanges = diff.changes.filter(change => change.kind === 'settings' && !change.requiresClose);
+
+    // Analysis goes first, as new fields may use the new analyzers
+    if (analysisChanges.length > 0) {
+      await this.addAnalysisComponents(diff.index, analysisChanges);
+    }
+
+    await this.execute('admin', 'indices.putMapping', { index: diff.index, body: mappings });
+
+    if (settingChanges.length > 0) {
+      await this.execute('admin', 'indices.putSettings', {
+        index: diff.index,
+        body: settingChanges.reduce((body, change) => {
+          body[change.path] = change.desired;
+          return body;
+        }, {})
+      });
+    }
+
+    const backfilled = diff.requiresBackfill ? await this.backfillFields(diff.index) : undefined;
+
+    console.log(`Index '${diff.index}' updated in place to definition v${diff.desiredVersion}`);
+    return backfilled;
+  }
+
+  // Analysis settings can only be added to a closed index, so searches and writes
+  // fail for the few seconds until it is open again
+  async addAnalysisComponents(index, changes) {
+    const analysis = {};
+    changes.forEach(change => {
+      const [, section, ...name] = change.path.split('.');
+      analysis[section] = { ...analysis[section], [name.join('.')]: change.desired };
+    });
+
+    await this.execute('admin', 'indices.close', { index });
+    try {
+      await this.execute('admin', 'indices.putSettings', { index, body: { analysis } });
+    } finally {
+      await this.execute('admin', 'indices.open', { index });
+      await this.execute('read', 'cluster.health', { index, waitForStatus: 'yellow', timeout: '30s' });
+    }
+    console.log(`Added ${changes.length} analysis component(s) to '${index}'`);
+  }
+
+  // Rewrites every document through the default pipeline, so multi-fields added to the
+  // mapping and fields a new pipeline sets get indexed
+  async backfillFields(index) {
+    const response = await this.execute('bulk', 'updateByQuery', {
+      index,
+      conflicts: 'proceed',
+      refresh: true,
+      waitForCompletion: true,
+      requestTimeout: 30 * 60 * 1000
+    });
+    console.log(`Backfilled new fields on ${response.updated} document(s) in '${index}'`);
+    return response.updated;
+  }
+
+  // The analysis settings and field mappings of the live write index
+  async getLiveAnalysis() {
+    const live = await this.getLiveDefinition();
+    const settings = live.settings.index || live.settings;
+
+    return {
+      index: live.index,
+      definitionVersion: live.mappings._meta ? parseInt(live.mappings._meta.definition_version) || null : null,
+      analysis: settings.analysis || {},
+      mappings: live.mappings
+    };
+  }
+
+  // Runs _analyze samples against a throwaway index created with the given analysis
+  // settings, which checks the whole definition the way applying it would
+  async testAnalysis(analysis, samples) {
+    const index = `${this.indexName}_analysis_check_${Date.now()}`;
+
+    try {
+      await this.execute('admin', 'indices.create', {
+        index: index,
+        body: { settings: { number_of_shards: 1, number_of_replicas: 0, analysis } }
+      });
+    } catch (error) {
+      if (error.status === 400) {
+        return { valid: false, error: error.message, samples: [] };
+      }
+      throw error;
+    }
+
+    try {
+      const results = [];
+      for (const sample of samples) {
+        try {
+          const response = await this.execute('search', 'indices.analyze', {
+            index: index,
+            body: { analyzer: sample.analyzer, text: sample.text }
+          });
+          results.push({ ...sample, tokens: response.tokens.map(token => token.token) });
+        } catch (error) {
+          if (error.status !== 400) {
+            throw error;
+          }
+          results.push({ ...sample, error: error.message });
+        }
+      }
+      return { valid: true, samples: results };
+    } finally {
+      await this.execute('admin', 'indices.delete', { index, ignore: [404] }).catch(() => {});
+    }
+  }
+
+  // Builds a new versioned index from the current one and atomically moves the
+  // alias onto it once the document counts match. Writes keep going to the current
+  // index during the copy; a catch-up pass then copies the products written since it
+  // started (by updatedAt), and a last one runs with writes blocked for the few
+  // seconds until the alias has moved, so no write is lost. Hard deletes made meanwhile
+  // are replayed at that point too. The new index gets the latest definition unless
+  // applyMapping passes the one it applies.
+  async reindex({ deleteOld = false, definition } = {}) {
+    if (this.reindexInProgress) {
+      throw new Error('A reindex is already in progress');
+    }
+
+    this.reindexInProgress = true;
+    this.reindexDeletes = [];
+    const startTime = Date.now();
+    let targetIndex = null;
+    let blockedIndices = [];
+
+    try {
+      const { legacy, indices: sourceIndices } = await this.resolveIndices();
+
+      if (sourceIndices.length === 0) {
+        throw new Error(`Index '${this.indexName}' does not exist`);
+      }
+
+      targetIndex = this.getVersionedIndexName(await this.getNextIndexVersion());
+
+      await this.execute('admin', 'indices.create', {
+        index: targetIndex,
+        body: this.getIndexDefinition(definition)
+      });
+      console.log(`Reindexing ${sourceIndices.join(', ')} into '${targetIndex}'...`);
+
+      const copyStart = catchUpFrom();
+      const copied = await this.copyDocuments(sourceIndices, targetIndex);
+
+      const catchUpStart = catchUpFrom();
+      const caughtUp = await this.copyDocuments(sourceIndices, targetIndex, copyStart);
+
+      await this.setWriteBlock(sourceIndices, true);
+      blockedIndices = sourceIndices;
+      const lastCaughtUp = await this.copyDocuments(sourceIndices, targetIndex, catchUpStart);
+      const deletesReplayed = await this.replayDeletes(sourceIndices, targetIndex);
+
+      const sourceCount = await this.execute('search', 'count', { index: sourceIndices });
+      const targetCount = await this.execute('search', 'count', { index: targetIndex });
+
+      if (sourceCount.count !== targetCount.count) {
+        throw new Error(
+          `Document count mismatch after reindex: source has ${sourceCount.count}, target has ${targetCount.count}`
+        );
+      }
+
+      await this.moveAlias(targetIndex, { legacy, indices: sourceIndices });
+
+      // A legacy index is gone with the alias move; the others take writes again for rollback
+      if (legacy) {
+        blockedIndices = [];
+      } else if (deleteOld) {
+        await this.execute('admin', 'indices.delete', { index: sourceIndices });
+        blockedIndices = [];
+        console.log(`Deleted previous indices: ${sourceIndices.join(', ')}`);
+      }
+
+      return {
+        alias: this.indexName,
+        previousIndices: sourceIndices,
+        newIndex: targetIndex,
+        documents: targetCount.count,
+        copied: copied.total,
+        caughtUp: caughtUp.total + lastCaughtUp.total,
+        deletesReplayed: deletesReplayed,
+        previousDeleted: legacy || deleteOld,
+        took: Date.now() - startTime
+      };
+    } catch (error) {
+      console.error('Error reindexing:', error);
+      if (targetIndex) {
+        await this.execute('admin', 'indices.delete', { index: targetIndex, ignore: [404] }).catch(() => {});
+      }
+      throw error;
+    } finally {
+      if (blockedIndices.length > 0) {
+        await this.setWriteBlock(blockedIndices, false).catch(error => {
+          console.error(`Failed to lift the write block on ${blockedIndices.join(', ')}:`, error.message);
+        });
+      }
+      this.reindexInProgress = false;
+      this.reindexDeletes = [];
+    }
+  }
+
+  // The catch-up passes only find products by updatedAt, so a hard delete made during the
+  // copy (a trash purge or a permanent delete by query) would stay undone on the target.
+  // Each recorded query is run again on the target and what it matches there is deleted,
+  // except products the source still has. Runs with writes blocked, while the source is still.
+  async replayDeletes(sourceIndices, targetIndex) {
+    const queries = this.reindexDeletes.splice(0);
+    let deleted = 0;
+
+    for (const query of queries) {
+      await this.scan(query, async products => {
+        const ids = products.map(product => product.id);
+        const kept = await this.execute('search', 'search', {
+          index: sourceIndices,
+          body: { query: { ids: { values: ids } }, _source: false, size: ids.length }
+        });
+        const keptIds = new Set(kept.hits.hits.map(hit => hit._id));
+        const gone = ids.filter(id => !keptIds.has(id));
+
+        if (gone.length > 0) {
+          const response = await this.execute('bulk', 'bulk', {
+            body: gone.map(id => ({ delete: { _index: targetIndex, _id: id } })),
+            refresh: true
+          });
+          deleted += response.items.filter(item => item.delete.result === 'deleted').length;
+        }
+      }, { index: targetIndex, includeDeleted: true });
+    }
+
+    if (deleted > 0) {
+      console.log(`Replayed ${deleted} deletes made during the reindex on '${targetIndex}'`);
+    }
+    return deleted;
+  }
+
+  // Copies the documents of the source indices into the target; with `since` (an ISO
+  // timestamp) only the products written from then on
+  async copyDocuments(sourceIndices, targetIndex, since) {
+    await this.execute('admin', 'indices.refresh', { index: sourceIndices });
+
+    const response = await this.execute('admin', 'reindex', {
+      waitForCompletion: true,
+      refresh: true,
+      requestTimeout: 30 * 60 * 1000,
+      body: {
+        source: {
+          index: sourceIndices,
+          ...(since && { query: { range: { updatedAt: { gte: since } } } })
+        },
+        dest: { index: targetIndex }
+      }
+    });
+
+    if (response.failures && response.failures.length > 0) {
+      throw new Error(`Reindex reported ${response.failures.length} failures`);
+    }
+    return response;
+  }
+
+  // Rejects (or accepts again) writes to the indices while the alias moves
+  async setWriteBlock(indices, blocked) {
+    await this.execute('admin', 'indices.putSettings', {
+      index: indices,
+      body: { 'index.blocks.write': blocked }
+    });
+  }
+
+  // Points the alias at targetIndex only, in one atomic call
+  async moveAlias(targetIndex, { legacy, indices }) {
+    // A legacy concrete index has to be dropped in the same call that creates
+    // the alias, because an alias cannot share its name with an index.
+    const actions = legacy
+      ? [{ remove_index: { index: this.indexName } }]
+      : indices.map(index => ({ remove: { index, alias: this.indexName } }));
+    actions.push({ add: { index: targetIndex, alias: this.indexName, is_write_index: true } });
+
+    await this.execute('admin', 'indices.updateAliases', { body: { actions } });
+    console.log(`Alias '${this.indexName}' now points to '${targetIndex}'`);
+  }
+
+  // Moves the alias onto an existing index, e.g. one restored from a snapshot
+  // and checked by hand. Previous indices are kept unless deleteOld is set.
+  async swapAlias(targetIndex, { deleteOld = false } = {}) {
+    if (this.reindexInProgress) {
+      throw new Error('A reindex is already in progress');
+    }
+
+    try {
+      const exists = await this.execute('read', 'indices.exists', { index: targetIndex });
+      if (!exists) {
+        const error = new Error(`Index '${targetIndex}' does not exist`);
+        error.status = 404;
+        throw error;
+      }
+
+      const { legacy, indices } = await this.resolveIndices();
+      if (indices.includes(targetIndex)) {
+        return { alias: this.indexName, previousIndices: indices, newIndex: targetIndex, previousDeleted: false, changed: false };
+      }
+
+      await this.moveAlias(targetIndex, { legacy, indices });
+
+      if (deleteOld && !legacy && indices.length > 0) {
+        await this.execute('admin', 'indices.delete', { index: indices });
+        console.log(`Deleted previous indices: ${indices.join(', ')}`);
+      }
+
+      return {
+        alias: this.indexName,
+        previousIndices: indices,
+        newIndex: targetIndex,
+        previousDeleted: legacy || (deleteOld && indices.length > 0),
+        changed: true
+      };
+    } catch (error) {
+      if (error.status !== 404) {
+        console.error('Error swapping alias:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Snapshots go to a shared-filesystem repository. Its location has to be listed
+  // in the cluster's path.repo setting (docker-compose.yml mounts ./snapshots there).
+  async registerSnapshotRepository(location = this.snapshotLocation) {
+    try {
+      await this.execute('admin', 'snapshot.createRepository', {
+        repository: this.snapshotRepository,
+        verify: true,
+        body: {
+          type: 'fs',
+          settings: { location, compress: true }
+        }
+      });
+      console.log(`Snapshot repository '${this.snapshotRepository}' registered at ${location}`);
+
+      return this.getSnapshotRepository();
+    } catch (error) {
+      console.error('Error registering snapshot repository:', error);
+      throw error;
+    }
+  }
+
+  async getSnapshotRepository() {
+    try {
+      const response = await this.execute('read', 'snapshot.getRepository', { repository: this.snapshotRepository });
+      const { type, settings } = response[this.snapshotRepository];
+      return { name: this.snapshotRepository, type, location: settings.location };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      console.error('Error getting snapshot repository:', error);
+      throw error;
+    }
+  }
+
+  formatSnapshot(snapshot) {
+    return {
+      name: snapshot.snapshot,
+      state: snapshot.state,
+      indices: snapshot.indices,
+      trigger: (snapshot.metadata && snapshot.metadata.trigger) || null,
+      startTime: snapshot.start_time || null,
+      endTime: snapshot.end_time || null,
+      durationMs: snapshot.duration_in_millis === undefined ? null : snapshot.duration_in_millis,
+      shards: snapshot.shards || null,
+      failures: snapshot.failures || []
+    };
+  }
+
+  // Snapshots the physical indices behind the alias. Without waitForCompletion the
+  // call returns once the snapshot has started and getSnapshot reports its state.
+  async createSnapshot({ name, trigger = 'manual', waitForCompletion = false } = {}) {
+    try {
+      const { indices } = await this.resolveIndices();
+
+      if (indices.length === 0) {
+        throw new Error(`Index '${this.indexName}' does not exist`);
+      }
+
+      const snapshot = name || `${this.indexName}-${new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)}`;
+
+      const response = await this.execute('admin', 'snapshot.create', {
+        repository: this.snapshotRepository,
+        snapshot: snapshot,
+        waitForCompletion: waitForCompletion,
+        requestTimeout: 30 * 60 * 1000,
+        body: {
+          indices: indices,
+          include_global_state: false,
+          metadata: { alias: this.indexName, trigger: trigger }
+        }
+      });
+
+      return this.formatSnapshot(response.snapshot || {
+        snapshot: snapshot,
+        state: 'IN_PROGRESS',
+        indices: indices,
+        metadata: { trigger }
+      });
+    } catch (error) {
+      console.error('Error creating snapshot:', error);
+      throw error;
+    }
+  }
+
+  async listSnapshots() {
+    try {
+      const response = await this.execute('read', 'snapshot.get', {
+        repository: this.snapshotRepository,
+        snapshot: '_all'
+      });
+
+      return response.snapshots
+        .map(snapshot => this.formatSnapshot(snapshot))
+        .sort((a, b) => (b.startTime || '').localeCompare(a.startTime || ''));
+    } catch (error) {
+      console.error('Error listing snapshots:', error);
+      throw error;
+    }
+  }
+
+  async getSnapshot(name) {
+    try {
+      const response = await this.execute('read', 'snapshot.get', {
+        repository: this.snapshotRepository,
+        snapshot: name
+      });
+      return this.formatSnapshot(response.snapshots[0]);
+    } catch (error) {
+      if (error.status === 404 && /snapshot_missing_exception/.test(error.message)) {
+        return null;
+      }
+      console.error('Error getting snapshot:', error);
+      throw error;
+    }
+  }
+
+  async deleteSnapshot(name) {
+    try {
+      await this.execute('admin', 'snapshot.delete', {
+        repository: this.snapshotRepository,
+        snapshot: name,
+        requestTimeout: 30 * 60 * 1000
+      });
+    } catch (error) {
+      console.error('Error deleting snapshot:', error);
+      throw error;
+    }
+  }
+
+  // Restores one index of a snapshot under a new name, without the alias, so it can
+  // be checked before swapAlias puts it live. Waits until the restore has finished.
+  async restoreSnapshot(name, { targetIndex, sourceIndex } = {}) {
+    try {
+      const snapshot = await this.getSnapshot(name);
+
+      if (!snapshot) {
+        const error = new Error(`Snapshot '${name}' not found`);
+        error.status = 404;
+        throw error;
+      }
+
+      const source = sourceIndex || (snapshot.indices.length === 1 ? snapshot.indices[0] : null);
+      if (!source || !snapshot.indices.includes(source)) {
+        const error = new Error(`Choose one of the snapshot's indices as sourceIndex: ${snapshot.indices.join(', ')}`);
+        error.status = 400;
+        throw error;
+      }
+
+      const target = targetIndex || `${source}-restored-${name}`;
+      if (await this.execute('read', 'indices.exists', { index: target })) {
+        const error = new Error(`Index '${target}' already exists`);
+        error.status = 409;
+        throw error;
+      }
+
+      const startTime = Date.now();
+      await this.execute('admin', 'snapshot.restore', {
+        repository: this.snapshotRepository,
+        snapshot: name,
+        waitForCompletion: true,
+        requestTimeout: 30 * 60 * 1000,
+        body: {
+          indices: source,
+          rename_pattern: '.+',
+          rename_replacement: target,
+          include_aliases: false,
+          include_global_state: false
+        }
+      });
+
+      const { count } = await this.execute('search', 'count', { index: target });
+      console.log(`Snapshot '${name}' restored into '${target}' (${count} documents)`);
+
+      return { snapshot: name, sourceIndex: source, index: target, documents: count, took: Date.now() - startTime };
+    } catch (error) {
+      if (![400, 404, 409].includes(error.status)) {
+        console.error('Error restoring snapshot:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Deletes all but the newest `keep` scheduled snapshots; manual ones are left alone
+  async pruneScheduledSnapshots(keep) {
+    const scheduled = (await this.listSnapshots())
+      .filter(snapshot => snapshot.trigger === 'scheduled' && snapshot.state !== 'IN_PROGRESS');
+    const expired = scheduled.slice(keep);
+
+    for (const snapshot of expired) {
+      await this.deleteSnapshot(snapshot.name);
+    }
+    return expired.map(snapshot => snapshot.name);
+  }
+
   async indexDocument(document) {
     try {
-      const response = await this.client.index({
+      const response = await this.execute('write', 'index', {
         index: this.indexName,
         id: document.id,
         body: document
@@ -175,39 +830,191 @@ class ElasticsearchService {
     }
   }
 
-  async bulkIndex(documents) {
+  // Replaces the whole document, unlike updateDocument which merges fields into it
+  async replaceDocument(id, document, expectedVersion) {
     try {
-      const body = [];
-      
-      documents.forEach(doc => {
-        body.push({
-          index: {
-            _index: this.indexName,
-            _id: doc.id
-          }
+      const response = await this.execute('write', 'index', {
+        index: this.indexName,
+        id: id,
+        ...this.versionParams(expectedVersion),
+        body: document
+      });
+      return response;
+    } catch (error) {
+      if (error.status !== 409) {
+        console.error('Error replacing document:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Fetches several documents at once; returns a Map of id to document for those that exist
+  async getDocuments(ids) {
+    const documents = new Map();
+
+    try {
+      for (let start = 0; start < ids.length; start += this.bulkOptions.batchSize) {
+        const response = await this.execute('read', 'mget', {
+          index: this.indexName,
+          body: { ids: ids.slice(start, start + this.bulkOptions.batchSize) }
         });
-        body.push(doc);
+
+        response.docs
+          .filter(doc => doc.found)
+          .forEach(doc => documents.set(doc._id, doc._source));
+      }
+      return documents;
+    } catch (error) {
+      console.error('Error getting documents:', error);
+      throw error;
+    }
+  }
+
+  // Splits documents into batches bounded by document count and payload size
+  createBulkBatches(documents, expectedVersions = {}) {
+    const { batchSize, maxBytes } = this.bulkOptions;
+    const batches = [];
+    let current = { documents: [], lines: [], bytes: 0 };
+
+    documents.forEach(document => {
+      const action = { _index: this.indexName, _id: document.id };
+      const expectedVersion = expectedVersions[document.id];
+
+      if (expectedVersion) {
+        action.if_seq_no = expectedVersion.seqNo;
+        action.if_primary_term = expectedVersion.primaryTerm;
+      }
+
+      const lines = [
+        JSON.stringify({ index: action }),
+        JSON.stringify(document)
+      ];
+      const bytes = Buffer.byteLength(lines[0]) + Buffer.byteLength(lines[1]) + 2;
+
+      if (current.documents.length > 0 &&
+        (current.documents.length >= batchSize || current.bytes + bytes > maxBytes)) {
+        batches.push(current);
+        current = { documents: [], lines: [], bytes: 0 };
+      }
+
+      current.documents.push(document);
+      current.lines.push(...lines);
+      current.bytes += bytes;
+    });
+
+    if (current.documents.length > 0) {
+      batches.push(current);
+    }
+    return batches;
+  }
+
+  // Sends one batch, resending only the items Elasticsearch rejected with 429
+  async indexBatch(batch) {
+    const failures = [];
+    let pending = batch.documents.map((document, position) => ({
+      document,
+      lines: batch.lines.slice(position * 2, position * 2 + 2)
+    }));
+    let indexed = 0;
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      let response;
+      try {
+        response = await this.execute('bulk', 'bulk', {
+          body: pending.flatMap(item => item.lines).join('\n') + '\n'
+        });
+      } catch (error) {
+        pending.forEach(({ document }) => failures.push({
+          id: document.id,
+          status: error.status || 500,
+          type: 'request_failed',
+          reason: error.message
+        }));
+        break;
+      }
+
+      const rejected = [];
+      response.items.forEach((item, position) => {
+        const result = item.index;
+        if (!result.error) {
+          indexed++;
+        } else if (result.status === 429 && attempt < this.bulkOptions.retryLimit) {
+          rejected.push(pending[position]);
+        } else {
+          failures.push({
+            id: pending[position].document.id,
+            status: result.status,
+            type: result.error.type,
+            reason: result.error.reason
+          });
+        }
       });
 
-      const response = await this.client.bulk({ body });
-      
-      if (response.errors) {
-        const errors = response.items.filter(item => item.index.error);
-        console.warn(`Bulk index completed with ${errors.length} errors`);
+      pending = rejected;
+      if (pending.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.resilience.backoff(attempt + 1)));
       }
-      
-      return response;
+    }
+
+    return { indexed, failures };
+  }
+
+  // Indexes any number of documents in batches (BULK_INSERT_SIZE documents or
+  // BULK_MAX_BYTES, whichever comes first) with at most BULK_CONCURRENCY
+  // requests in flight. Failed documents are reported individually.
+  // expectedVersions maps document ids to { seqNo, primaryTerm }; documents
+  // changed since then fail with a 409 version conflict.
+  async bulkIndex(documents, { onProgress, expectedVersions } = {}) {
+    try {
+      const startTime = Date.now();
+      const batches = this.createBulkBatches(documents, expectedVersions);
+      const result = { total: documents.length, indexed: 0, failed: 0, errors: false, failures: [] };
+      let next = 0;
+      let processed = 0;
+
+      const worker = async () => {
+        while (next < batches.length) {
+          const batch = batches[next++];
+          const batchResult = await this.indexBatch(batch);
+
+          result.indexed += batchResult.indexed;
+          result.failures.push(...batchResult.failures);
+          processed += batch.documents.length;
+
+          if (onProgress) {
+            onProgress({ processed, total: documents.length, indexed: result.indexed, failed: result.failures.length });
+          }
+        }
+      };
+
+      const workers = Math.min(this.bulkOptions.concurrency, batches.length);
+      await Promise.all(Array.from({ length: workers }, worker));
+
+      result.failed = result.failures.length;
+      result.errors = result.failed > 0;
+      result.batches = batches.length;
+      result.took = Date.now() - startTime;
+
+      if (result.errors) {
+        console.warn(`Bulk index completed with ${result.failed} errors`);
+      }
+
+      return result;
     } catch (error) {
       console.error('Error bulk indexing:', error);
       throw error;
     }
   }
 
-  async search(query) {
+  // requestCache caches the whole response, hits included, in the shard request cache
+  // until the index next refreshes with changes
+  async search(query, { includeDeleted = false, requestCache = false } = {}) {
     try {
-      const response = await this.client.search({
-        index: this.indexName,
-        body: query
+      const response = await this.execute('search', 'search', {
+        // A point in time already names the index and the request must not repeat it
+        ...(!query.pit && { index: this.indexName }),
+        ...(requestCache && { requestCache: true }),
+        body: includeDeleted ? query : excludeDeleted(query)
       });
       return response;
     } catch (error) {
@@ -216,13 +1023,90 @@ class ElasticsearchService {
     }
   }
 
+  // Walks every document matching the query clause through a point in time in
+  // _shard_doc order, so a full dump is consistent and not limited by
+  // max_result_window. onBatch gets each page of documents and can return false to stop.
+  async scan(query, onBatch, { batchSize = 1000, keepAlive = '2m', includeDeleted = false, index = this.indexName } = {}) {
+    let pitId = await this.openPointInTime(keepAlive, index);
+    let searchAfter;
+    let scanned = 0;
+
+    try {
+      for (;;) {
+        const response = await this.execute('search', 'search', {
+          body: {
+            ...(includeDeleted ? { query } : excludeDeleted({ query })),
+            pit: { id: pitId, keep_alive: keepAlive },
+            size: batchSize,
+            sort: [{ _shard_doc: 'asc' }],
+            track_total_hits: false,
+            ...(searchAfter && { search_after: searchAfter })
+          }
+        });
+
+        const hits = response.hits.hits;
+        pitId = response.pit_id || pitId;
+
+        if (hits.length === 0) {
+          break;
+        }
+
+        scanned += hits.length;
+        searchAfter = hits[hits.length - 1].sort;
+
+        const keepGoing = await onBatch(hits.map(hit => hit._source));
+        if (keepGoing === false || hits.length < batchSize) {
+          break;
+        }
+      }
+    } finally {
+      await this.closePointInTime(pitId);
+    }
+
+    return { scanned };
+  }
+
+  // The legacy client has no point-in-time API, so these go through the transport
+  async openPointInTime(keepAlive, index = this.indexName) {
+    const response = await this.execute('read', 'transport.request', {
+      method: 'POST',
+      path: `/${encodeURIComponent(index)}/_pit`,
+      query: { keep_alive: keepAlive }
+    });
+    return response.id;
+  }
+
+  // Best effort: an unclosed point in time expires after its keep alive anyway
+  async closePointInTime(id) {
+    try {
+      await this.execute('read', 'transport.request', {
+        method: 'DELETE',
+        path: '/_pit',
+        body: { id: id }
+      });
+    } catch (error) {
+      console.warn('Failed to close point in time:', error.message);
+    }
+  }
+
   async getDocument(id) {
+    const result = await this.getDocumentWithVersion(id);
+    return result ? result.document : null;
+  }
+
+  // Returns the document together with the sequence number and primary term
+  // used for optimistic concurrency control
+  async getDocumentWithVersion(id) {
     try {
-      const response = await this.client.get({
+      const response = await this.execute('read', 'get', {
         index: this.indexName,
         id: id
       });
-      return response._source;
+      return {
+        document: response._source,
+        seqNo: response._seq_no,
+        primaryTerm: response._primary_term
+      };
     } catch (error) {
       if (error.status === 404) {
         return null;
@@ -232,44 +1116,220 @@ class ElasticsearchService {
     }
   }
 
-  async updateDocument(id, document) {
+  // Pass { seqNo, primaryTerm } to fail with a 409 when the document changed since it was read
+  versionParams(expectedVersion) {
+    if (!expectedVersion) {
+      return {};
+    }
+    return { ifSeqNo: expectedVersion.seqNo, ifPrimaryTerm: expectedVersion.primaryTerm };
+  }
+
+  async updateDocument(id, document, expectedVersion) {
     try {
-      const response = await this.client.update({
+      const response = await this.execute('write', 'update', {
         index: this.indexName,
         id: id,
+        ...this.versionParams(expectedVersion),
         body: {
           doc: document
         }
       });
       return response;
     } catch (error) {
-      console.error('Error updating document:', error);
+      if (error.status !== 409) {
+        console.error('Error updating document:', error);
+      }
       throw error;
     }
   }
 
-  async deleteDocument(id) {
+  async deleteDocument(id, expectedVersion) {
     try {
-      const response = await this.client.delete({
+      const response = await this.execute('write', 'delete', {
         index: this.indexName,
-        id: id
+        id: id,
+        ...this.versionParams(expectedVersion)
+      });
+      return response;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      if (error.status !== 409) {
+        console.error('Error deleting document:', error);
+      }
+      throw error;
+    }
+  }
+
+  // The by-query operations run as a background task when waitForCompletion is false;
+  // they then answer { task: '<node>:<id>' } and progress is read with getTask
+  async updateByQuery(query, operations, { waitForCompletion = true } = {}) {
+    try {
+      const response = await this.execute('bulk', 'updateByQuery', {
+        index: this.indexName,
+        conflicts: 'proceed',
+        refresh: true,
+        waitForCompletion: waitForCompletion,
+        body: {
+          query: query,
+          script: toPainlessScript(operations)
+        }
+      });
+      return response;
+    } catch (error) {
+      console.error('Error updating by query:', error);
+      throw error;
+    }
+  }
+
+  async deleteByQuery(query, { waitForCompletion = true } = {}) {
+    try {
+      if (this.reindexInProgress) {
+        this.reindexDeletes.push(query);
+      }
+      const response = await this.execute('bulk', 'deleteByQuery', {
+        index: this.indexName,
+        conflicts: 'proceed',
+        refresh: true,
+        waitForCompletion: waitForCompletion,
+        body: { query }
       });
       return response;
+    } catch (error) {
+      console.error('Error deleting by query:', error);
+      throw error;
+    }
+  }
+
+  async getTask(taskId) {
+    try {
+      return await this.execute('read', 'tasks.get', { taskId: taskId });
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      console.error('Error getting task:', error);
+      throw error;
+    }
+  }
+
+  async cancelTask(taskId) {
+    try {
+      return await this.execute('admin', 'tasks.cancel', { taskId: taskId });
+    } catch (error) {
+      console.error('Error cancelling task:', error);
+      throw error;
+    }
+  }
+
+  // Hard-deletes soft-deleted products whose deletedAt is older than the retention
+  async purgeDeleted(retentionDays = trashRetentionDays()) {
+    const response = await this.deleteByQuery({
+      bool: {
+        filter: [
+          DELETED_FILTER,
+          { range: { deletedAt: { lt: `now-${retentionDays}d` } } }
+        ]
+      }
+    });
+    return { purged: response.deleted, retentionDays };
+  }
+
+  async recordChanges(records) {
+    try {
+      for (let start = 0; start < records.length; start += this.bulkOptions.batchSize) {
+        const body = records
+          .slice(start, start + this.bulkOptions.batchSize)
+          .flatMap(record => [{ index: { _index: this.historyIndexName, _id: record.changeId } }, record]);
+
+        const response = await this.execute('bulk', 'bulk', { body, refresh: 'wait_for' });
+
+        if (response.errors) {
+          const failed = response.items.filter(item => item.index.error);
+          throw new Error(`${failed.length} history record(s) failed: ${failed[0].index.error.reason}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error recording product changes:', error);
+      throw error;
+    }
+  }
+
+  // Lists a product's change records, newest first
+  async getHistory(productId, { from = 0, size = 20 } = {}) {
+    try {
+      const response = await this.execute('search', 'search', {
+        index: this.historyIndexName,
+        body: {
+          query: { term: { productId: productId } },
+          from: from,
+          size: size,
+          sort: [{ timestamp: { order: 'desc' } }]
+        }
+      });
+      return {
+        total: response.hits.total.value,
+        changes: response.hits.hits.map(hit => hit._source)
+      };
+    } catch (error) {
+      console.error('Error getting product history:', error);
+      throw error;
+    }
+  }
+
+  async getChange(changeId) {
+    try {
+      const response = await this.execute('read', 'get', {
+        index: this.historyIndexName,
+        id: changeId
+      });
+      return response._source;
     } catch (error) {
       if (error.status === 404) {
         return null;
       }
-      console.error('Error deleting document:', error);
+      console.error('Error getting change record:', error);
+      throw error;
+    }
+  }
+
+  async analyze({ analyzer, text }) {
+    try {
+      const response = await this.execute('search', 'indices.analyze', {
+        index: this.indexName,
+        body: {
+          analyzer: analyzer,
+          text: text
+        }
+      });
+      return response;
+    } catch (error) {
+      console.error('Error analyzing text:', error);
+      throw error;
+    }
+  }
+
+  // Re-reads the files of updateable analysis filters (the synonyms) without closing
+  // the index; the legacy client has no helper for this API
+  async reloadSearchAnalyzers() {
+    try {
+      return await this.execute('admin', 'transport.request', {
+        method: 'POST',
+        path: `/${encodeURIComponent(this.indexName)}/_reload_search_analyzers`
+      });
+    } catch (error) {
+      console.error('Error reloading search analyzers:', error);
       throw error;
     }
   }
 
   async getIndexStats() {
     try {
-      const response = await this.client.indices.stats({
+      const response = await this.execute('read', 'indices.stats', {
         index: this.indexName
       });
-      return response.indices[this.indexName];
+      return response._all;
     } catch (error) {
       console.error('Error getting index stats:', error);
       throw error;
@@ -277,4 +1337,24 @@ class ElasticsearchService {
   }
 }
 
-module.exports = new ElasticsearchService();
+// Every backend exposes the same methods as ElasticsearchService (initialize,
+// healthCheck, createIndex, deleteIndex, indexDocument, bulkIndex, search,
+// getDocument, updateDocument, replaceDocument, deleteDocument, the product
+// history, analyze, getIndexStats and the index admin operations). SEARCH_BACKEND=memory swaps in an in-memory
+// implementation so routes and scripts run without a cluster.
+const createSearchBackend = () => {
+  const backend = process.env.SEARCH_BACKEND || 'elasticsearch';
+
+  switch (backend) {
+    case 'elasticsearch':
+      return new ElasticsearchService();
+    case 'memory': {
+      const InMemorySearchService = require('./inMemorySearchService');
+      return new InMemorySearchService();
+    }
+    default:
+      throw new Error(`Unknown SEARCH_BACKEND '${backend}'. Use 'elasticsearch' or 'memory'.`);
+  }
+};
+
+module.exports = createSearchBackend();
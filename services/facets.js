@@ -0,0 +1,161 @@
+// Multi-select (disjunctive) facets for POST /api/search/faceted. The values selected in
+// one facet are alternatives (category Books or Electronics) and the facets narrow each
+// other down (and in stock). The search query runs unfiltered by the selections, which
+// are applied to the hits with post_filter, and every facet is counted with the other
+// facets' selections but not its own, so its unselected values still show how many
+// products selecting them would add.
+
+const FACETS = {
+  category: { type: 'terms', field: 'category', size: 20 },
+  tags: { type: 'terms', field: 'tags', size: 20 },
+  inStock: { type: 'terms', field: 'inStock', size: 2 },
+  price: {
+    type: 'range',
+    field: 'price',
+    ranges: [
+      { key: '*-50', to: 50 },
+      { key: '50-100', from: 50, to: 100 },
+      { key: '100-200', from: 100, to: 200 },
+      { key: '200-500', from: 200, to: 500 },
+      { key: '500-*', from: 500 }
+    ]
+  },
+  rating: {
+    type: 'range',
+    field: 'rating',
+    ranges: [
+      { key: '4.5-*', from: 4.5 },
+      { key: '4-4.5', from: 4.0, to: 4.5 },
+      { key: '3-4', from: 3.0, to: 4.0 },
+      { key: '2-3', from: 2.0, to: 3.0 },
+      { key: '*-2', to: 2.0 }
+    ]
+  }
+};
+
+const FACET_NAMES = Object.keys(FACETS);
+
+// Selections as { facet: [values] }; a single value may be sent without the list
+function normalizeSelections(selected = {}) {
+  return Object.entries(selected).reduce((selections, [name, values]) => {
+    const list = (Array.isArray(values) ? values : [values]).filter(value => value !== null && value !== '');
+    if (list.length > 0) {
+      selections[name] = list;
+    }
+    return selections;
+  }, {});
+}
+
+// Lists the problems with the selections; empty when they are valid
+function selectionErrors(selected) {
+  if (selected === null || typeof selected !== 'object' || Array.isArray(selected)) {
+    return [`selected must be an object with lists of values for ${FACET_NAMES.join(', ')}`];
+  }
+
+  const errors = [];
+  Object.entries(normalizeSelections(selected)).forEach(([name, values]) => {
+    const facet = FACETS[name];
+
+    if (!facet) {
+      errors.push(`selected.${name} is not a facet; facets are ${FACET_NAMES.join(', ')}`);
+      return;
+    }
+    if (facet.type === 'range') {
+      const keys = facet.ranges.map(range => range.key);
+      values.filter(value => !keys.includes(value)).forEach(value => {
+        errors.push(`selected.${name} "${value}" is not one of ${keys.join(', ')}`);
+      });
+    } else if (values.some(value => !['string', 'number', 'boolean'].includes(typeof value))) {
+      errors.push(`selected.${name} must list strings, numbers or booleans`);
+    }
+  });
+  return errors;
+}
+
+// The filter for the values selected in one facet: any of them
+function selectionFilter(name, values) {
+  const facet = FACETS[name];
+
+  if (facet.type === 'range') {
+    return {
+      bool: {
+        should: facet.ranges
+          .filter(range => values.includes(range.key))
+          .map(range => ({
+            range: {
+              [facet.field]: {
+                ...(range.from !== undefined && { gte: range.from }),
+                ...(range.to !== undefined && { lt: range.to })
+              }
+            }
+          })),
+        minimum_should_match: 1
+      }
+    };
+  }
+  return { terms: { [facet.field]: values } };
+}
+
+const filtersExcept = (selections, excluded) => Object.entries(selections)
+  .filter(([name]) => name !== excluded)
+  .map(([name, values]) => selectionFilter(name, values));
+
+function facetAggregation(facet) {
+  return facet.type === 'range'
+    ? { range: { field: facet.field, ranges: facet.ranges } }
+    : { terms: { field: facet.field, size: facet.size } };
+}
+
+// The post_filter and aggregations for the selections
+function buildFacetedSearch(selected = {}) {
+  const selections = normalizeSelections(selected);
+  const postFilters = filtersExcept(selections, null);
+
+  return {
+    ...(postFilters.length > 0 && { post_filter: { bool: { filter: postFilters } } }),
+    aggs: FACET_NAMES.reduce((aggs, name) => {
+      aggs[name] = {
+        filter: { bool: { filter: filtersExcept(selections, name) } },
+        aggs: { values: facetAggregation(FACETS[name]) }
+      };
+      return aggs;
+    }, {})
+  };
+}
+
+// Each facet's buckets with their selected state. Selected values a terms facet no longer
+// counts (none of the results have them) are kept with a count of 0, so they can be unselected.
+function toFacets(aggregations, selected = {}) {
+  const selections = normalizeSelections(selected);
+
+  return FACET_NAMES.reduce((facets, name) => {
+    const facet = FACETS[name];
+    const values = (selections[name] || []).map(String);
+    const buckets = aggregations[name].values.buckets.map(bucket => {
+      const key = bucket.key_as_string !== undefined ? bucket.key_as_string : bucket.key;
+      return {
+        key: key,
+        ...(bucket.from !== undefined && { from: bucket.from }),
+        ...(bucket.to !== undefined && { to: bucket.to }),
+        doc_count: bucket.doc_count,
+        selected: values.includes(String(key))
+      };
+    });
+
+    if (facet.type === 'terms') {
+      values
+        .filter(value => !buckets.some(bucket => String(bucket.key) === value))
+        .forEach(value => buckets.push({ key: value, doc_count: 0, selected: true }));
+    }
+
+    facets[name] = {
+      type: facet.type,
+      field: facet.field,
+      selected: selections[name] || [],
+      buckets: buckets
+    };
+    return facets;
+  }, {});
+}
+
+module.exports = { FACETS, selectionErrors, buildFacetedSearch, toFacets };
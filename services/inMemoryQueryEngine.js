@@ -0,0 +1,1138 @@
+// Evaluates the subset of the Elasticsearch query DSL and aggregations used by
+// the routes against plain JavaScript documents. Text analysis is a simple
+// lowercase/word split: there is no stemming, stop words or synonyms.
+
+const DAY = 24 * 60 * 60 * 1000;
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY, w: 7 * DAY };
+const UNIT_METERS = { m: 1, km: 1000, mi: 1609.344, yd: 0.9144, ft: 0.3048 };
+const EARTH_RADIUS_METERS = 6371008.8;
+
+function unsupported(kind, name) {
+  return new Error(`${kind} '${name}' is not supported by the in-memory search backend`);
+}
+
+function tokenize(value) {
+  return String(value)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Arrays of objects are flattened like Elasticsearch object fields: 'variants.color'
+// reads the color of every variant
+function getPath(document, path) {
+  return path.split('.').reduce((value, key) => {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    if (Array.isArray(value)) {
+      return value.flatMap(item => asArray(item === null || item === undefined ? undefined : item[key]));
+    }
+    return value[key];
+  }, document);
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value.flat() : [value];
+}
+
+// Geo points as { lat, lon } or "lat,lon"
+function parseGeoPoint(value) {
+  if (typeof value === 'string') {
+    const [lat, lon] = value.split(',').map(Number);
+    return { lat, lon };
+  }
+  return { lat: Number(value.lat), lon: Number(value.lon) };
+}
+
+// "10km", "500m" or a number of meters, in meters
+function parseDistance(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/);
+  if (!match || (match[2] && !UNIT_METERS[match[2]])) {
+    throw new Error(`Invalid distance '${value}'`);
+  }
+  return parseFloat(match[1]) * UNIT_METERS[match[2] || 'm'];
+}
+
+// Haversine distance in meters
+function geoDistance(from, to) {
+  const radians = degrees => degrees * Math.PI / 180;
+  const dLat = radians(to.lat - from.lat);
+  const dLon = radians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+// Resolves "now-7d/d" style date math and plain dates to epoch millis
+function parseDate(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = String(value).match(/^now(?:([+-])(\d+)([smhdw]))?(?:\/([smhdw]))?$/);
+  if (!match) {
+    return Date.parse(value);
+  }
+
+  let time = Date.now();
+  if (match[1]) {
+    const offset = parseInt(match[2]) * UNIT_MS[match[3]];
+    time += match[1] === '+' ? offset : -offset;
+  }
+  if (match[4]) {
+    time = Math.floor(time / UNIT_MS[match[4]]) * UNIT_MS[match[4]];
+  }
+  return time;
+}
+
+// Nested objects are evaluated one at a time as a document holding only that object
+// at its path; PARENT points back to the document it belongs to
+const PARENT = Symbol('parent');
+
+function nestedDocument(parent, path, object) {
+  const document = path.split('.').reduceRight((value, key) => ({ [key]: value }), object);
+  document[PARENT] = parent;
+  return document;
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+// Elasticsearch's AUTO fuzziness: 0 edits up to 2 chars, 1 up to 5, 2 beyond
+function maxEdits(fuzziness, term) {
+  if (fuzziness === undefined || fuzziness === null) {
+    return 0;
+  }
+  if (String(fuzziness).toUpperCase() === 'AUTO') {
+    return term.length <= 2 ? 0 : term.length <= 5 ? 1 : 2;
+  }
+  return parseInt(fuzziness) || 0;
+}
+
+function parseBoost(field) {
+  const [name, boost] = field.split('^');
+  return { name, boost: boost ? parseFloat(boost) : 1 };
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;', '/': '&#x2F;' };
+
+// Escapes text like the highlighter's html encoder
+function escapeHtml(text) {
+  return text.replace(/[&<>"'/]/g, character => HTML_ESCAPES[character]);
+}
+
+function wildcardToRegExp(pattern, caseInsensitive) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, caseInsensitive ? 'i' : '');
+}
+
+class InMemoryQueryEngine {
+  constructor(mappings) {
+    this.fields = {};
+    this.copies = {};
+    this.registerFields(mappings.properties || {});
+
+    Object.entries(this.copies).forEach(([target, sources]) => {
+      if (this.fields[target]) {
+        this.fields[target].copiedFrom = sources;
+      }
+    });
+  }
+
+  // Maps every mapped path (including multi-fields such as name.keyword) to the
+  // _source path it reads from and how its values are compared. Fields filled in
+  // with copy_to read the values of the fields copied to them.
+  registerFields(properties, prefix = '') {
+    Object.entries(properties).forEach(([name, definition]) => {
+      const path = prefix ? `${prefix}.${name}` : name;
+
+      if (definition.properties) {
+        this.registerFields(definition.properties, path);
+        return;
+      }
+
+      this.fields[path] = {
+        source: path,
+        type: definition.type,
+        analyzer: definition.analyzer,
+        ...(definition.contexts && { contexts: definition.contexts })
+      };
+
+      asArray(definition.copy_to).forEach(target => {
+        this.copies[target] = [...(this.copies[target] || []), path];
+      });
+
+      Object.entries(definition.fields || {}).forEach(([subName, subDefinition]) => {
+        this.fields[`${path}.${subName}`] = {
+          source: path,
+          type: subDefinition.type,
+          analyzer: subDefinition.analyzer
+        };
+      });
+    });
+  }
+
+  resolveField(path, document) {
+    if (this.fields[path]) {
+      return this.fields[path];
+    }
+
+    // Dynamically mapped strings become text with a .keyword subfield
+    if (path.endsWith('.keyword')) {
+      return { source: path.slice(0, -'.keyword'.length), type: 'keyword' };
+    }
+
+    const sample = asArray(getPath(document, path))[0];
+    const type = typeof sample === 'number' ? 'double'
+      : typeof sample === 'boolean' ? 'boolean'
+        : 'text';
+    return { source: path, type };
+  }
+
+  values(document, path) {
+    const field = this.resolveField(path, document);
+    if (field.copiedFrom) {
+      return field.copiedFrom.flatMap(source => asArray(getPath(document, source)));
+    }
+    return asArray(getPath(document, field.source));
+  }
+
+  // Scores a match-style query against one field; returns 0 for no match
+  scoreText(document, path, query, { operator = 'or', fuzziness, prefix = false } = {}) {
+    const field = this.resolveField(path, document);
+    const values = this.values(document, path);
+
+    if (field.type !== 'text') {
+      return values.some(value => this.equals(field, value, query)) ? 1 : 0;
+    }
+
+    const documentTokens = values.flatMap(tokenize);
+    const queryTokens = tokenize(query);
+    const autocomplete = prefix || field.analyzer === 'autocomplete_analyzer';
+
+    const matched = queryTokens.filter(queryToken => {
+      const edits = maxEdits(fuzziness, queryToken);
+      return documentTokens.some(token => {
+        if (autocomplete && token.startsWith(queryToken)) {
+          return true;
+        }
+        return edits > 0 ? levenshtein(token, queryToken) <= edits : token === queryToken;
+      });
+    });
+
+    if (matched.length === 0 || (operator === 'and' && matched.length < queryTokens.length)) {
+      return 0;
+    }
+    return matched.length / queryTokens.length;
+  }
+
+  equals(field, value, expected, caseInsensitive = false) {
+    if (field.type === 'boolean') {
+      return String(value) === String(expected);
+    }
+    if (['double', 'float', 'integer', 'long', 'short', 'scaled_float'].includes(field.type)) {
+      return Number(value) === Number(expected);
+    }
+    if (field.type === 'text') {
+      return tokenize(value).includes(String(expected).toLowerCase());
+    }
+    if (caseInsensitive) {
+      return String(value).toLowerCase() === String(expected).toLowerCase();
+    }
+    return String(value) === String(expected);
+  }
+
+  compare(field, value) {
+    return field.type === 'date' ? parseDate(value) : Number(value);
+  }
+
+  // Returns the score of a document for a query, or null when it doesn't match
+  evaluate(query, document) {
+    if (!query) {
+      return 1;
+    }
+
+    const [type] = Object.keys(query);
+    const body = query[type];
+
+    switch (type) {
+      case 'match_all':
+        return 1;
+
+      case 'match': {
+        const [path] = Object.keys(body);
+        const options = typeof body[path] === 'object' ? body[path] : { query: body[path] };
+        const score = this.scoreText(document, path, options.query, options);
+        return score > 0 ? score * (options.boost || 1) : null;
+      }
+
+      case 'match_phrase': {
+        const [path] = Object.keys(body);
+        const options = typeof body[path] === 'object' ? body[path] : { query: body[path] };
+        return this.matchPhrase(document, path, options.query, options.slop || 0) ? 1 : null;
+      }
+
+      case 'multi_match': {
+        const defaultFields = Object.keys(this.fields).filter(path => this.fields[path].type === 'text');
+        const fields = (body.fields || defaultFields).map(parseBoost);
+        const scores = fields.map(({ name, boost }) => (
+          this.scoreText(document, name, body.query, body) * boost
+        ));
+        const best = Math.max(0, ...scores);
+        return best > 0 ? best : null;
+      }
+
+      case 'term': {
+        const [path] = Object.keys(body);
+        const options = typeof body[path] === 'object' && body[path] !== null ? body[path] : { value: body[path] };
+        const field = this.resolveField(path, document);
+        return this.values(document, path).some(value => (
+          this.equals(field, value, options.value, options.case_insensitive)
+        )) ? (options.boost || 1) : null;
+      }
+
+      case 'terms': {
+        const [path] = Object.keys(body).filter(key => key !== 'boost');
+        const field = this.resolveField(path, document);
+        const values = this.values(document, path);
+        return body[path].some(expected => values.some(value => this.equals(field, value, expected)))
+          ? 1 : null;
+      }
+
+      case 'range': {
+        const [path] = Object.keys(body);
+        const bounds = body[path];
+        const field = this.resolveField(path, document);
+        const matches = this.values(document, path).some(raw => {
+          const value = this.compare(field, raw);
+          return (bounds.gt === undefined || value > this.compare(field, bounds.gt)) &&
+            (bounds.gte === undefined || value >= this.compare(field, bounds.gte)) &&
+            (bounds.lt === undefined || value < this.compare(field, bounds.lt)) &&
+            (bounds.lte === undefined || value <= this.compare(field, bounds.lte));
+        });
+        return matches ? 1 : null;
+      }
+
+      case 'exists':
+        return this.values(document, body.field).length > 0 ? 1 : null;
+
+      case 'ids':
+        return body.values.includes(document.id) ? 1 : null;
+
+      case 'prefix':
+      case 'wildcard': {
+        const [path] = Object.keys(body);
+        const options = typeof body[path] === 'object' ? body[path] : { value: body[path] };
+        const pattern = type === 'prefix' ? `${options.value}*` : options.value;
+        const field = this.resolveField(path, document);
+        const regExp = wildcardToRegExp(pattern, options.case_insensitive || field.type === 'text');
+        const candidates = field.type === 'text'
+          ? this.values(document, path).flatMap(tokenize)
+          : this.values(document, path).map(String);
+        return candidates.some(candidate => regExp.test(candidate)) ? (options.boost || 1) : null;
+      }
+
+      case 'fuzzy': {
+        const [path] = Object.keys(body);
+        const options = typeof body[path] === 'object' ? body[path] : { value: body[path] };
+        const score = this.scoreText(document, path, options.value, {
+          fuzziness: options.fuzziness === undefined ? 'AUTO' : options.fuzziness
+        });
+        return score > 0 ? score : null;
+      }
+
+      case 'bool':
+        return this.evaluateBool(body, document);
+
+      case 'constant_score':
+        return this.evaluate(body.filter, document) === null ? null : (body.boost || 1);
+
+      case 'geo_distance': {
+        const [field] = Object.keys(body).filter(key => !['distance', 'distance_type', 'validation_method', '_name', 'boost'].includes(key));
+        const origin = parseGeoPoint(body[field]);
+        const maxDistance = parseDistance(body.distance);
+        return this.values(document, field).some(point => geoDistance(origin, parseGeoPoint(point)) <= maxDistance)
+          ? (body.boost || 1)
+          : null;
+      }
+
+      case 'nested': {
+        const scores = this.nestedMatches(body, document).map(match => match.score);
+        if (scores.length === 0) {
+          return null;
+        }
+        const sum = scores.reduce((total, score) => total + score, 0);
+        switch (body.score_mode) {
+          case 'max': return Math.max(...scores);
+          case 'min': return Math.min(...scores);
+          case 'sum': return sum;
+          case 'none': return 0;
+          default: return sum / scores.length;
+        }
+      }
+
+      default:
+        throw unsupported('Query', type);
+    }
+  }
+
+  // The objects at a nested query's path that match its query, with their position
+  nestedMatches(body, document) {
+    return asArray(getPath(document, body.path))
+      .map((object, offset) => ({
+        object,
+        offset,
+        score: this.evaluate(body.query, nestedDocument(document, body.path, object))
+      }))
+      .filter(match => match.score !== null);
+  }
+
+  // Collects the inner hits of the nested queries that ask for them, keyed by
+  // inner_hits.name (or the path); returns undefined when there are none
+  innerHits(query, document) {
+    if (!query) {
+      return undefined;
+    }
+
+    const [type] = Object.keys(query);
+    const body = query[type];
+    let results = {};
+
+    if (type === 'bool') {
+      ['must', 'filter', 'should'].forEach(key => {
+        asArray(body[key]).forEach(clause => Object.assign(results, this.innerHits(clause, document)));
+      });
+    } else if (type === 'constant_score') {
+      results = this.innerHits(body.filter, document) || {};
+    } else if (type === 'nested' && body.inner_hits) {
+      const options = body.inner_hits;
+      const matches = this.nestedMatches(body, document).map(match => ({
+        ...match,
+        _source: nestedDocument(document, body.path, match.object),
+        _score: match.score
+      }));
+      const sorted = options.sort ? this.sort(matches, options.sort) : matches.sort((a, b) => b.score - a.score);
+      const from = options.from || 0;
+
+      results[options.name || body.path] = {
+        hits: {
+          total: { value: matches.length, relation: 'eq' },
+          max_score: matches.length > 0 ? Math.max(...matches.map(match => match.score)) : null,
+          hits: sorted.slice(from, from + (options.size === undefined ? 3 : options.size)).map(match => ({
+            _id: document.id,
+            _nested: { field: body.path, offset: match.offset },
+            _score: match.score,
+            _source: match.object,
+            ...(options.sort && { sort: match.sort })
+          }))
+        }
+      };
+    }
+
+    return Object.keys(results).length > 0 ? results : undefined;
+  }
+
+  evaluateBool(body, document) {
+    const clauses = (key) => asArray(body[key]);
+    let score = 0;
+
+    for (const clause of clauses('must')) {
+      const clauseScore = this.evaluate(clause, document);
+      if (clauseScore === null) return null;
+      score += clauseScore;
+    }
+
+    for (const clause of clauses('filter')) {
+      if (this.evaluate(clause, document) === null) return null;
+    }
+
+    for (const clause of clauses('must_not')) {
+      if (this.evaluate(clause, document) !== null) return null;
+    }
+
+    const should = clauses('should');
+    const shouldScores = should
+      .map(clause => this.evaluate(clause, document))
+      .filter(clauseScore => clauseScore !== null);
+
+    const required = body.minimum_should_match !== undefined
+      ? parseInt(body.minimum_should_match)
+      : (clauses('must').length + clauses('filter').length === 0 && should.length > 0 ? 1 : 0);
+
+    if (shouldScores.length < required) {
+      return null;
+    }
+
+    return score + shouldScores.reduce((sum, clauseScore) => sum + clauseScore, 0);
+  }
+
+  // What a query searches for in the fields read from `source` (in any field when
+  // requireFieldMatch is off), as word matchers: { token, prefix, edits } or { regExp }
+  highlightMatchers(query, source, requireFieldMatch = true) {
+    if (!query) {
+      return [];
+    }
+
+    const [type] = Object.keys(query);
+    const body = query[type];
+    const readsSource = path => !requireFieldMatch || (this.fields[path] ? this.fields[path].source : path) === source;
+    const words = (path, text, options = {}) => tokenize(text).map(token => ({
+      token,
+      prefix: Boolean(options.prefix) || (this.fields[path] || {}).analyzer === 'autocomplete_analyzer',
+      edits: maxEdits(options.fuzziness, token)
+    }));
+    const fieldOptions = () => {
+      const [path] = Object.keys(body).filter(key => key !== 'boost');
+      const options = isObject(body[path]) ? body[path] : { query: body[path], value: body[path] };
+      return [path, options];
+    };
+
+    switch (type) {
+      case 'bool':
+        return ['must', 'filter', 'should'].flatMap(key => (
+          asArray(body[key]).flatMap(clause => this.highlightMatchers(clause, source, requireFieldMatch))
+        ));
+      case 'constant_score':
+        return this.highlightMatchers(body.filter, source, requireFieldMatch);
+      case 'match':
+      case 'match_phrase': {
+        const [path, options] = fieldOptions();
+        return readsSource(path) ? words(path, options.query, options) : [];
+      }
+      case 'multi_match':
+        return (body.fields || Object.keys(this.fields).filter(path => this.fields[path].type === 'text'))
+          .map(field => parseBoost(field).name)
+          .filter(readsSource)
+          .flatMap(path => words(path, body.query, body));
+      case 'term':
+      case 'fuzzy': {
+        const [path, options] = fieldOptions();
+        return readsSource(path)
+          ? words(path, options.value, { fuzziness: type === 'fuzzy' ? (options.fuzziness === undefined ? 'AUTO' : options.fuzziness) : undefined })
+          : [];
+      }
+      case 'prefix':
+      case 'wildcard': {
+        const [path, options] = fieldOptions();
+        const pattern = type === 'prefix' ? `${options.value}*` : options.value;
+        return readsSource(path) ? [{ regExp: wildcardToRegExp(pattern, true) }] : [];
+      }
+      default:
+        return [];
+    }
+  }
+
+  // Wraps the words of a field that match the query (or the field's highlight_query)
+  // in the pre and post tags; the html encoder escapes the text around them. With
+  // number_of_fragments 0 every whole value that has a match is returned; otherwise up to
+  // number_of_fragments pieces of about fragment_size characters that have a match.
+  highlight(highlight, query, document) {
+    const results = {};
+    const { fields = {}, ...defaults } = highlight;
+
+    Object.entries(fields).forEach(([path, fieldOptions]) => {
+      const options = { ...defaults, ...fieldOptions };
+      const field = this.resolveField(path, document);
+      const matchers = this.highlightMatchers(options.highlight_query || query, field.source, options.require_field_match !== false);
+      const preTag = asArray(options.pre_tags)[0] || '<em>';
+      const postTag = asArray(options.post_tags)[0] || '</em>';
+      const fragmentCount = options.number_of_fragments === undefined ? 5 : options.number_of_fragments;
+      const fragmentSize = options.fragment_size || 100;
+      const encode = options.encoder === 'html' ? escapeHtml : text => text;
+
+      const matches = word => {
+        const lower = word.toLowerCase();
+        return matchers.some(matcher => {
+          if (matcher.regExp) return matcher.regExp.test(word);
+          if (lower === matcher.token || (matcher.prefix && lower.startsWith(matcher.token))) return true;
+          return matcher.edits > 0 && levenshtein(lower, matcher.token) <= matcher.edits;
+        });
+      };
+
+      const fragments = this.values(document, path).flatMap(raw => {
+        const value = String(raw);
+        const words = Array.from(value.matchAll(/[\p{L}\p{N}]+/gu))
+          .map(match => ({ start: match.index, end: match.index + match[0].length, hit: matches(match[0]) }));
+
+        if (!words.some(word => word.hit)) {
+          return [];
+        }
+
+        const tag = (start, end) => {
+          let text = '';
+          let position = start;
+          words.filter(word => word.hit && word.start >= start && word.end <= end).forEach(word => {
+            text += encode(value.slice(position, word.start)) + preTag + encode(value.slice(word.start, word.end)) + postTag;
+            position = word.end;
+          });
+          return text + encode(value.slice(position, end));
+        };
+
+        if (fragmentCount === 0) {
+          return [tag(0, value.length)];
+        }
+
+        // Consecutive pieces of whole words, keeping those with a match
+        const pieces = [];
+        words.forEach(word => {
+          const last = pieces[pieces.length - 1];
+          if (last && word.end - last.start <= fragmentSize) {
+            last.end = word.end;
+            last.hit = last.hit || word.hit;
+          } else {
+            pieces.push({ ...word });
+          }
+        });
+        return pieces.filter(piece => piece.hit).map(piece => tag(piece.start, piece.end));
+      });
+
+      if (fragments.length > 0) {
+        results[path] = fragmentCount === 0 ? fragments : fragments.slice(0, fragmentCount);
+      }
+    });
+
+    return Object.keys(results).length > 0 ? results : undefined;
+  }
+
+  matchPhrase(document, path, phrase, slop) {
+    const phraseTokens = tokenize(phrase);
+
+    return this.values(document, path).some(value => {
+      const tokens = tokenize(value);
+      return tokens.some((token, start) => {
+        if (token !== phraseTokens[0]) return false;
+        let position = start;
+        for (const phraseToken of phraseTokens.slice(1)) {
+          const next = tokens.indexOf(phraseToken, position + 1);
+          if (next === -1 || next - position - 1 > slop) return false;
+          position = next;
+        }
+        return true;
+      });
+    });
+  }
+
+  sortCriteria(sort) {
+    const criteria = asArray(sort).map(criterion => {
+      if (typeof criterion === 'string') {
+        return { field: criterion, order: criterion === '_score' ? 'desc' : 'asc' };
+      }
+      const [field] = Object.keys(criterion);
+      const options = criterion[field];
+      return { field, options, order: typeof options === 'string' ? options : (options.order || 'asc') };
+    });
+
+    if (criteria.length === 0) {
+      criteria.push({ field: '_score', order: 'desc' });
+    }
+    return criteria;
+  }
+
+  // The values a hit is sorted on, as returned in a hit's `sort` array.
+  // _shard_doc (the point-in-time tiebreaker) is emulated with the document id.
+  sortValues(hit, criteria) {
+    return criteria.map(({ field, options }) => {
+      if (field === '_score') return hit._score;
+      if (field === '_shard_doc') return hit._id;
+      if (field === '_geo_distance') return this.geoSortValue(hit._source, options);
+      const value = this.sortValue(hit._source, field);
+      return value === undefined ? null : value;
+    });
+  }
+
+  compareSortValues(valuesA, valuesB, criteria) {
+    for (let i = 0; i < criteria.length; i++) {
+      const direction = criteria[i].order === 'desc' ? -1 : 1;
+      const valueA = valuesA[i];
+      const valueB = valuesB[i];
+
+      if (valueA === valueB) continue;
+      // Missing values sort last in both directions
+      if (valueA === null || valueA === undefined) return 1;
+      if (valueB === null || valueB === undefined) return -1;
+      return valueA < valueB ? -direction : direction;
+    }
+    return 0;
+  }
+
+  // Sorts hits and attaches their sort values; with searchAfter only the hits
+  // that sort after those values are returned
+  sort(hits, sort, searchAfter) {
+    const criteria = this.sortCriteria(sort);
+
+    const sorted = hits
+      .map(hit => ({ ...hit, sort: this.sortValues(hit, criteria) }))
+      .sort((a, b) => this.compareSortValues(a.sort, b.sort, criteria));
+
+    return searchAfter
+      ? sorted.filter(hit => this.compareSortValues(hit.sort, searchAfter, criteria) > 0)
+      : sorted;
+  }
+
+  // Distance from the origin to the closest point of the field (the closest of the nested
+  // objects matching options.nested.filter), in options.unit
+  geoSortValue(document, options) {
+    const { order, unit = 'm', mode, distance_type: distanceType, ignore_unmapped: ignoreUnmapped, nested, ...rest } = options;
+    const [field] = Object.keys(rest);
+    const origin = parseGeoPoint(rest[field]);
+
+    let points = this.values(document, field);
+    if (nested) {
+      const objects = asArray(getPath(document, nested.path)).filter(object => (
+        !nested.filter || this.evaluate(nested.filter, nestedDocument(document, nested.path, object)) !== null
+      ));
+      points = objects.flatMap(object => asArray(getPath(nestedDocument(document, nested.path, object), field)));
+    }
+
+    if (points.length === 0) {
+      return null;
+    }
+    const distances = points.map(point => geoDistance(origin, parseGeoPoint(point)) / UNIT_METERS[unit]);
+    return order === 'desc' ? Math.max(...distances) : Math.min(...distances);
+  }
+
+  sortValue(document, path) {
+    const field = this.resolveField(path, document);
+    const [value] = this.values(document, path);
+
+    if (value === undefined) return undefined;
+    if (field.type === 'date') return parseDate(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+  }
+
+  // Completion suggesters: an input matches when it starts with the prefix, give or
+  // take the fuzzy edits, and scores its weight. Category contexts match the values
+  // of the context's path. Phrase suggesters are handled by phraseSuggest.
+  suggest(suggesters, documents) {
+    const { text: globalText, ...named } = suggesters;
+
+    return Object.entries(named).reduce((results, [name, suggester]) => {
+      const { prefix, completion, phrase } = suggester;
+      if (phrase) {
+        results[name] = this.phraseSuggest(suggester.text || globalText, phrase, documents);
+        return results;
+      }
+      if (!completion) {
+        throw unsupported('Suggester', Object.keys(suggester).find(key => !['prefix', 'text'].includes(key)));
+      }
+
+      const target = tokenize(prefix).join(' ');
+      const edits = completion.fuzzy && target.length >= 3 ? maxEdits(completion.fuzzy.fuzziness || 'AUTO', target) : 0;
+      const contexts = (this.fields[completion.field] || {}).contexts || [];
+
+      const matches = input => {
+        const text = tokenize(input).join(' ');
+        if (text.startsWith(target)) {
+          return true;
+        }
+        if (edits === 0 || text[0] !== target[0]) {
+          return false;
+        }
+        for (let length = target.length - edits; length <= target.length + edits; length++) {
+          if (levenshtein(text.slice(0, length), target) <= edits) {
+            return true;
+          }
+        }
+        return false;
+      };
+
+      const inContexts = document => Object.entries(completion.contexts || {}).every(([contextName, wanted]) => {
+        const context = contexts.find(candidate => candidate.name === contextName);
+        if (!context) {
+          throw new Error(`Unknown context '${contextName}' on completion field '${completion.field}'`);
+        }
+        const values = asArray(getPath(document, context.path)).map(String);
+        return asArray(wanted).some(value => values.includes(String(isObject(value) ? value.context : value)));
+      });
+
+      const seen = new Set();
+      const options = documents
+        .filter(inContexts)
+        .map(document => {
+          const field = getPath(document, completion.field);
+          const input = field && asArray(field.input).find(matches);
+          return input && { text: input, _id: document.id, _score: field.weight || 0, _source: document };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b._score - a._score)
+        .filter(option => {
+          if (!completion.skip_duplicates) return true;
+          if (seen.has(option.text)) return false;
+          seen.add(option.text);
+          return true;
+        })
+        .slice(0, completion.size === undefined ? 5 : completion.size);
+
+      results[name] = [{ text: prefix, offset: 0, length: prefix.length, options }];
+      return results;
+    }, {});
+  }
+
+  // Phrase suggester: each word of the text that no document has in the field is
+  // replaced by the most frequent word within two edits (starting with the same
+  // letter), correcting at most max_errors words. Without shingle statistics the
+  // score is simply lower for more edits. The collate query, a template filled in
+  // with the correction and params, drops corrections no document matches (or marks
+  // them with collate_match when prune is set).
+  phraseSuggest(text, phrase, documents) {
+    const counts = new Map();
+    documents.forEach(document => this.values(document, phrase.field).flatMap(tokenize).forEach(token => {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }));
+
+    const tokens = tokenize(text);
+    const corrections = tokens
+      .map((token, index) => {
+        if (counts.has(token) || token.length < 4) {
+          return null;
+        }
+        const [best] = Array.from(counts.keys())
+          .filter(word => word[0] === token[0])
+          .map(word => ({ word, edits: levenshtein(word, token) }))
+          .filter(candidate => candidate.edits <= 2)
+          .sort((a, b) => a.edits - b.edits || counts.get(b.word) - counts.get(a.word));
+        return best && { index, ...best };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.edits - b.edits);
+
+    const maxErrors = phrase.max_errors === undefined ? 1 : phrase.max_errors;
+    const allowed = maxErrors >= 1 ? Math.floor(maxErrors) : Math.max(1, Math.floor(maxErrors * tokens.length));
+    const applied = corrections.slice(0, allowed);
+    const entry = { text, offset: 0, length: String(text).length, options: [] };
+
+    if (applied.length === 0) {
+      return [entry];
+    }
+
+    const { pre_tag: preTag = '', post_tag: postTag = '' } = phrase.highlight || {};
+    const replacement = index => applied.find(correction => correction.index === index);
+    const suggestion = tokens.map((token, index) => (replacement(index) ? replacement(index).word : token)).join(' ');
+    const option = {
+      text: suggestion,
+      ...(phrase.highlight && {
+        highlighted: tokens.map((token, index) => (
+          replacement(index) ? `${preTag}${replacement(index).word}${postTag}` : token
+        )).join(' ')
+      }),
+      score: 1 / (1 + applied.reduce((sum, correction) => sum + correction.edits, 0))
+    };
+
+    if (phrase.collate) {
+      const params = { ...(phrase.collate.params || {}), suggestion };
+      const query = JSON.parse(JSON.stringify(phrase.collate.query.source).replace(
+        /\{\{(\w+)\}\}/g,
+        (placeholder, name) => (params[name] === undefined ? placeholder : JSON.stringify(String(params[name])).slice(1, -1))
+      ));
+      const matched = documents.some(document => this.evaluate(query, document) !== null);
+
+      if (phrase.collate.prune) {
+        option.collate_match = matched;
+      } else if (!matched) {
+        return [entry];
+      }
+    }
+
+    entry.options.push(option);
+    return [entry];
+  }
+
+  aggregate(aggs, documents) {
+    return Object.entries(aggs || {}).reduce((results, [name, definition]) => {
+      results[name] = this.runAggregation(definition, documents);
+      return results;
+    }, {});
+  }
+
+  runAggregation(definition, documents) {
+    const { aggs: subAggs, aggregations, ...rest } = definition;
+    const [type] = Object.keys(rest);
+    const body = rest[type];
+    const children = subAggs || aggregations;
+    const bucket = (extra, bucketDocuments) => ({
+      ...extra,
+      doc_count: bucketDocuments.length,
+      ...this.aggregate(children, bucketDocuments)
+    });
+
+    switch (type) {
+      case 'terms':
+        return this.termsAggregation(body, documents, bucket);
+
+      case 'range':
+        return this.rangeAggregation(body, documents, bucket, raw => Number(raw));
+
+      case 'geo_distance': {
+        const origin = parseGeoPoint(body.origin);
+        const unitMeters = UNIT_METERS[body.unit || 'm'];
+        return this.rangeAggregation(body, documents, bucket, point => geoDistance(origin, parseGeoPoint(point)) / unitMeters);
+      }
+
+      case 'date_histogram':
+        return this.dateHistogramAggregation(body, documents, bucket);
+
+      case 'filter':
+        return bucket({}, documents.filter(document => this.evaluate(body, document) !== null));
+
+      case 'nested':
+        return bucket({}, documents.flatMap(document => (
+          asArray(getPath(document, body.path)).map(object => nestedDocument(document, body.path, object))
+        )));
+
+      case 'reverse_nested':
+        return bucket({}, Array.from(new Set(documents.map(document => document[PARENT] || document))));
+
+      case 'top_hits': {
+        const hits = this.sort(documents.map(document => ({ _source: document, _score: 1 })), body.sort);
+        return {
+          hits: {
+            total: { value: documents.length, relation: 'eq' },
+            hits: hits.slice(body.from || 0, (body.from || 0) + (body.size || 3)).map(hit => ({
+              _id: hit._source.id,
+              _score: hit._score,
+              _source: this.filterSource(hit._source, body._source)
+            }))
+          }
+        };
+      }
+
+      case 'avg':
+      case 'min':
+      case 'max':
+      case 'sum':
+      case 'value_count':
+      case 'cardinality':
+      case 'stats':
+        return this.metricAggregation(type, body, documents);
+
+      default:
+        throw unsupported('Aggregation', type);
+    }
+  }
+
+  // Range buckets over the numbers `toNumber` makes of the field's values
+  rangeAggregation(body, documents, bucket, toNumber) {
+    return {
+      buckets: body.ranges.map(range => {
+        const inRange = documents.filter(document => this.values(document, body.field).some(raw => {
+          const value = toNumber(raw);
+          return (range.from === undefined || value >= range.from) &&
+            (range.to === undefined || value < range.to);
+        }));
+        const key = range.key ||
+          `${range.from === undefined ? '*' : Number(range.from).toFixed(1)}-${range.to === undefined ? '*' : Number(range.to).toFixed(1)}`;
+        const extra = { key };
+        if (range.from !== undefined) extra.from = range.from;
+        if (range.to !== undefined) extra.to = range.to;
+        return bucket(extra, inRange);
+      })
+    };
+  }
+
+  termsAggregation(body, documents, bucket) {
+    const groups = new Map();
+
+    documents.forEach(document => {
+      const field = this.resolveField(body.field, document);
+      new Set(this.values(document, body.field).map(value => (
+        field.type === 'boolean' ? (String(value) === 'true' ? 1 : 0) : value
+      ))).forEach(key => {
+        if (!groups.has(key)) groups.set(key, { field, documents: [] });
+        groups.get(key).documents.push(document);
+      });
+    });
+
+    const [orderKey, orderDirection] = Object.entries(body.order || { _count: 'desc' })[0];
+    const direction = orderDirection === 'asc' ? 1 : -1;
+    const size = body.size === undefined ? 10 : body.size;
+
+    const buckets = Array.from(groups.entries())
+      .filter(([, group]) => group.documents.length >= (body.min_doc_count || 1))
+      .sort(([keyA, groupA], [keyB, groupB]) => {
+        if (orderKey === '_key') {
+          return keyA < keyB ? -direction : keyA > keyB ? direction : 0;
+        }
+        const difference = groupA.documents.length - groupB.documents.length;
+        if (difference !== 0) return difference * direction;
+        return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+      });
+
+    const selected = buckets.slice(0, size);
+    const otherCount = buckets.slice(size).reduce((sum, [, group]) => sum + group.documents.length, 0);
+
+    return {
+      doc_count_error_upper_bound: 0,
+      sum_other_doc_count: otherCount,
+      buckets: selected.map(([key, group]) => {
+        const extra = { key };
+        if (group.field.type === 'boolean') {
+          extra.key_as_string = key === 1 ? 'true' : 'false';
+        }
+        return bucket(extra, group.documents);
+      })
+    };
+  }
+
+  dateHistogramAggregation(body, documents, bucket) {
+    const interval = body.calendar_interval || body.fixed_interval || body.interval || 'day';
+    const truncate = (time) => {
+      const date = new Date(time);
+      switch (interval.replace(/^1/, '')) {
+        case 'year':
+        case 'y':
+          return Date.UTC(date.getUTCFullYear(), 0, 1);
+        case 'quarter':
+        case 'q':
+          return Date.UTC(date.getUTCFullYear(), Math.floor(date.getUTCMonth() / 3) * 3, 1);
+        case 'month':
+        case 'M':
+          return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+        case 'week':
+        case 'w': {
+          const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+          return day - ((date.getUTCDay() + 6) % 7) * DAY;
+        }
+        case 'hour':
+        case 'h':
+          return Math.floor(time / UNIT_MS.h) * UNIT_MS.h;
+        case 'day':
+        case 'd':
+          return Math.floor(time / DAY) * DAY;
+        default:
+          throw unsupported('Date histogram interval', interval);
+      }
+    };
+    const advance = (time) => {
+      const date = new Date(time);
+      switch (interval.replace(/^1/, '')) {
+        case 'year':
+        case 'y':
+          return Date.UTC(date.getUTCFullYear() + 1, 0, 1);
+        case 'quarter':
+        case 'q':
+          return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 3, 1);
+        case 'month':
+        case 'M':
+          return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+        case 'week':
+        case 'w':
+          return time + UNIT_MS.w;
+        case 'hour':
+        case 'h':
+          return time + UNIT_MS.h;
+        default:
+          return time + DAY;
+      }
+    };
+
+    const groups = new Map();
+    documents.forEach(document => {
+      this.values(document, body.field).forEach(value => {
+        const key = truncate(parseDate(value));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(document);
+      });
+    });
+
+    const keys = Array.from(groups.keys()).sort((a, b) => a - b);
+    const minDocCount = body.min_doc_count === undefined ? 1 : body.min_doc_count;
+    const buckets = [];
+
+    if (keys.length > 0) {
+      for (let key = keys[0]; key <= keys[keys.length - 1]; key = advance(key)) {
+        const bucketDocuments = groups.get(key) || [];
+        if (bucketDocuments.length >= minDocCount) {
+          buckets.push(bucket({ key_as_string: new Date(key).toISOString(), key }, bucketDocuments));
+        }
+      }
+    }
+
+    return { buckets };
+  }
+
+  metricAggregation(type, body, documents) {
+    const raw = documents.flatMap(document => this.values(document, body.field));
+
+    if (type === 'value_count') {
+      return { value: raw.length };
+    }
+    if (type === 'cardinality') {
+      return { value: new Set(raw.map(String)).size };
+    }
+
+    const field = this.fields[body.field] || {};
+    const numbers = raw
+      .map(value => (field.type === 'date' ? parseDate(value) : Number(value)))
+      .filter(value => !Number.isNaN(value));
+    const sum = numbers.reduce((total, value) => total + value, 0);
+    const min = numbers.length > 0 ? Math.min(...numbers) : null;
+    const max = numbers.length > 0 ? Math.max(...numbers) : null;
+    const avg = numbers.length > 0 ? sum / numbers.length : null;
+
+    switch (type) {
+      case 'avg':
+        return { value: avg };
+      case 'min':
+        return { value: min };
+      case 'max':
+        return { value: max };
+      case 'sum':
+        return { value: sum };
+      default:
+        return { count: numbers.length, min, max, avg, sum };
+    }
+  }
+
+  filterSource(document, source) {
+    if (source === undefined || source === true) {
+      return document;
+    }
+    if (source === false) {
+      return undefined;
+    }
+
+    const includes = Array.isArray(source) ? source : asArray(source.includes || source);
+    return includes.reduce((result, path) => {
+      const value = getPath(document, path);
+      if (value === undefined) return result;
+
+      const keys = path.split('.');
+      let target = result;
+      keys.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[keys[keys.length - 1]] = value;
+      return result;
+    }, {});
+  }
+}
+
+module.exports = { InMemoryQueryEngine, tokenize };
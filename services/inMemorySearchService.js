@@ -0,0 +1,455 @@
+const { loadIndexDefinition } = require('../config/indexDefinition');
+const { InMemoryQueryEngine, tokenize } = require('./inMemoryQueryEngine');
+const { DELETED_FILTER, excludeDeleted, trashRetentionDays } = require('./softDelete');
+const { applyOperations } = require('./bulkOperations');
+const { withSuggestInput } = require('./suggestions');
+
+// Drop-in replacement for ElasticsearchService that keeps documents in a Map.
+// Selected with SEARCH_BACKEND=memory so routes and scripts run without a
+// cluster. Data lives only as long as the process.
+class InMemorySearchService {
+  constructor() {
+    this.client = null;
+    this.indexName = process.env.ELASTICSEARCH_INDEX_NAME || 'products';
+    this.reindexInProgress = false;
+    this.mappingInProgress = false;
+    this.documents = new Map();
+    this.seqNos = new Map();
+    this.history = [];
+    this.tasks = new Map();
+    this.taskCounter = 0;
+    this.pitCounter = 0;
+    this.seqNo = 0;
+    this.primaryTerm = 1;
+    this.engine = new InMemoryQueryEngine(loadIndexDefinition().mappings);
+  }
+
+  async initialize() {
+    console.log('In-memory search backend initialized');
+    await this.createIndex();
+    return true;
+  }
+
+  async healthCheck() {
+    return {
+      status: 'green',
+      cluster_name: 'in-memory',
+      number_of_nodes: 1,
+      active_shards: 1
+    };
+  }
+
+  getResilienceStats() {
+    return { breaker: { state: 'closed' }, retries: 0, operations: {} };
+  }
+
+  async resolveIndices() {
+    return { legacy: false, indices: [`${this.indexName}_memory`] };
+  }
+
+  async createIndex() {
+    console.log(`In-memory index '${this.indexName}' ready`);
+  }
+
+  async deleteIndex() {
+    this.documents.clear();
+    this.seqNos.clear();
+    console.log(`In-memory index '${this.indexName}' cleared`);
+  }
+
+  async reindex() {
+    throw new Error('Reindexing is not supported by the in-memory search backend');
+  }
+
+  async swapAlias() {
+    throw new Error('Alias swaps are not supported by the in-memory search backend');
+  }
+
+  async registerSnapshotRepository() {
+    throw new Error('Snapshots are not supported by the in-memory search backend');
+  }
+
+  async getSnapshotRepository() {
+    throw new Error('Snapshots are not supported by the in-memory search backend');
+  }
+
+  async createSnapshot() {
+    throw new Error('Snapshots are not supported by the in-memory search backend');
+  }
+
+  async listSnapshots() {
+    throw new Error('Snapshots are not supported by the in-memory search backend');
+  }
+
+  async getSnapshot() {
+    throw new Error('Snapshots are not supported by the in-memory search backend');
+  }
+
+  async deleteSnapshot() {
+    throw new Error('Snapshots are not supported by the in-memory search backend');
+  }
+
+  async restoreSnapshot() {
+    throw new Error('Snapshots are not supported by the in-memory search backend');
+  }
+
+  async pruneScheduledSnapshots() {
+    throw new Error('Snapshots are not supported by the in-memory search backend');
+  }
+
+  // The in-memory backend runs the definition files as they are
+  async getLiveAnalysis() {
+    const { version, settings, mappings } = loadIndexDefinition();
+    return {
+      index: `${this.indexName}_memory`,
+      definitionVersion: version,
+      analysis: settings.analysis || {},
+      mappings: mappings
+    };
+  }
+
+  async testAnalysis() {
+    throw new Error('Analyzer definitions can only be tested against Elasticsearch');
+  }
+
+  async diffMapping() {
+    throw new Error('Mapping migrations are not supported by the in-memory search backend');
+  }
+
+  async applyMapping() {
+    throw new Error('Mapping migrations are not supported by the in-memory search backend');
+  }
+
+  // Stores a document, with the suggest inputs the ingest pipeline would add, and
+  // returns an index response with its new version
+  store(document, created) {
+    this.documents.set(document.id, clone(withSuggestInput(document)));
+    this.seqNos.set(document.id, this.seqNo++);
+
+    return {
+      _index: this.indexName,
+      _id: document.id,
+      _seq_no: this.seqNos.get(document.id),
+      _primary_term: this.primaryTerm,
+      result: created ? 'created' : 'updated'
+    };
+  }
+
+  // Mirrors Elasticsearch's if_seq_no/if_primary_term check
+  checkVersion(id, expectedVersion) {
+    if (!expectedVersion) {
+      return;
+    }
+
+    const current = this.seqNos.get(id);
+    if (current !== expectedVersion.seqNo || this.primaryTerm !== expectedVersion.primaryTerm) {
+      const error = new Error(
+        `[${id}]: version conflict, required seqNo [${expectedVersion.seqNo}], primary term ` +
+        `[${expectedVersion.primaryTerm}]. current document has seqNo [${current}] and primary term [${this.primaryTerm}]`
+      );
+      error.status = 409;
+      error.type = 'version_conflict_engine_exception';
+      throw error;
+    }
+  }
+
+  async indexDocument(document) {
+    return this.store(document, !this.documents.has(document.id));
+  }
+
+  async bulkIndex(documents, { onProgress, expectedVersions = {} } = {}) {
+    const failures = [];
+
+    documents.forEach(document => {
+      try {
+        this.checkVersion(document.id, expectedVersions[document.id]);
+        this.store(document, !this.documents.has(document.id));
+      } catch (error) {
+        failures.push({ id: document.id, status: error.status, type: error.type, reason: error.message });
+      }
+    });
+
+    const indexed = documents.length - failures.length;
+
+    if (onProgress) {
+      onProgress({ processed: documents.length, total: documents.length, indexed, failed: failures.length });
+    }
+
+    return {
+      total: documents.length,
+      indexed: indexed,
+      failed: failures.length,
+      errors: failures.length > 0,
+      failures: failures,
+      batches: documents.length > 0 ? 1 : 0,
+      took: 0
+    };
+  }
+
+  async search(searchQuery = {}, { includeDeleted = false } = {}) {
+    const startTime = Date.now();
+    const query = includeDeleted ? searchQuery : excludeDeleted(searchQuery);
+    const matches = [];
+
+    this.documents.forEach(document => {
+      const score = this.engine.evaluate(query.query, document);
+      if (score !== null) {
+        const innerHits = this.engine.innerHits(query.query, document);
+        matches.push({
+          _index: this.indexName,
+          _id: document.id,
+          _score: score,
+          _source: document,
+          ...(innerHits && { inner_hits: innerHits })
+        });
+      }
+    });
+
+    const from = parseInt(query.from) || 0;
+    const size = query.size === undefined ? 10 : parseInt(query.size);
+    // Searches in a point in time get Elasticsearch's implicit _shard_doc tiebreaker
+    const sort = query.pit ? [].concat(query.sort || [], { _shard_doc: 'asc' }) : query.sort;
+    const aggregations = query.aggs || query.aggregations
+      ? this.engine.aggregate(query.aggs || query.aggregations, matches.map(hit => hit._source))
+      : undefined;
+    // post_filter narrows the hits down after the aggregations have been computed
+    const hits = query.post_filter
+      ? matches.filter(hit => this.engine.evaluate(query.post_filter, hit._source) !== null)
+      : matches;
+    const sorted = this.engine.sort(hits, sort, query.search_after);
+
+    return {
+      took: Date.now() - startTime,
+      timed_out: false,
+      hits: {
+        total: { value: hits.length, relation: 'eq' },
+        max_score: hits.length > 0 ? Math.max(...hits.map(hit => hit._score)) : null,
+        hits: sorted.slice(from, from + size).map(({ sort: values, ...hit }) => {
+          const highlight = query.highlight && this.engine.highlight(query.highlight, query.query, hit._source);
+          return {
+            ...hit,
+            _source: clone(this.engine.filterSource(hit._source, query._source)),
+            ...(sort && { sort: values }),
+            ...(highlight && { highlight })
+          };
+        })
+      },
+      aggregations,
+      ...(query.suggest && { suggest: this.suggest(query) }),
+      ...(query.pit && { pit_id: query.pit.id })
+    };
+  }
+
+  // Suggesters run over every document, whatever the query
+  suggest(query) {
+    const results = this.engine.suggest(query.suggest, Array.from(this.documents.values()));
+
+    Object.values(results).forEach(entries => entries.forEach(entry => {
+      entry.options = entry.options.map(option => (option._source ? {
+        ...option,
+        _index: this.indexName,
+        _source: clone(this.engine.filterSource(option._source, query._source))
+      } : option));
+    }));
+    return results;
+  }
+
+  // Documents are not snapshotted: a point in time here only pins the sort tiebreaker
+  async openPointInTime() {
+    return `memory-pit-${++this.pitCounter}`;
+  }
+
+  async closePointInTime() {}
+
+  async scan(query, onBatch, { batchSize = 1000, includeDeleted = false } = {}) {
+    const filter = includeDeleted ? query : excludeDeleted({ query }).query;
+    const documents = this.matchingDocuments(filter);
+
+    for (let start = 0; start < documents.length; start += batchSize) {
+      const keepGoing = await onBatch(clone(documents.slice(start, start + batchSize)));
+      if (keepGoing === false) {
+        return { scanned: Math.min(start + batchSize, documents.length) };
+      }
+    }
+    return { scanned: documents.length };
+  }
+
+  async getDocument(id) {
+    const result = await this.getDocumentWithVersion(id);
+    return result ? result.document : null;
+  }
+
+  async getDocumentWithVersion(id) {
+    const document = this.documents.get(id);
+
+    if (!document) {
+      return null;
+    }
+    return { document: clone(document), seqNo: this.seqNos.get(id), primaryTerm: this.primaryTerm };
+  }
+
+  async replaceDocument(id, document, expectedVersion) {
+    this.checkVersion(id, expectedVersion);
+    return this.store({ ...clone(document), id }, !this.documents.has(id));
+  }
+
+  async getDocuments(ids) {
+    const documents = new Map();
+    ids.filter(id => this.documents.has(id)).forEach(id => documents.set(id, clone(this.documents.get(id))));
+    return documents;
+  }
+
+  async updateDocument(id, document, expectedVersion) {
+    const existing = this.documents.get(id);
+
+    if (!existing) {
+      const error = new Error(`Document '${id}' not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    this.checkVersion(id, expectedVersion);
+    return this.store({ ...existing, ...clone(document) }, false);
+  }
+
+  async deleteDocument(id, expectedVersion) {
+    if (!this.documents.has(id)) {
+      return null;
+    }
+
+    this.checkVersion(id, expectedVersion);
+    this.documents.delete(id);
+    this.seqNos.delete(id);
+    return { _index: this.indexName, _id: id, _seq_no: this.seqNo++, _primary_term: this.primaryTerm, result: 'deleted' };
+  }
+
+  matchingDocuments(query) {
+    return Array.from(this.documents.values())
+      .filter(document => this.engine.evaluate(query, document) !== null);
+  }
+
+  // By-query operations finish immediately; without waitForCompletion their result
+  // is kept as a completed task so getTask answers like Elasticsearch does
+  taskResponse(action, response, waitForCompletion) {
+    if (waitForCompletion) {
+      return response;
+    }
+
+    const id = ++this.taskCounter;
+    const { took, failures, ...status } = response;
+    this.tasks.set(`memory:${id}`, {
+      completed: true,
+      task: { node: 'memory', id, action, status, running_time_in_nanos: took * 1000000 },
+      response
+    });
+    return { task: `memory:${id}` };
+  }
+
+  async updateByQuery(query, operations, { waitForCompletion = true } = {}) {
+    const documents = this.matchingDocuments(query);
+    const now = new Date().toISOString();
+
+    documents.forEach(document => this.store(applyOperations(document, operations, now), false));
+
+    return this.taskResponse('indices:data/write/update/byquery', {
+      took: 0,
+      total: documents.length,
+      updated: documents.length,
+      deleted: 0,
+      batches: 1,
+      version_conflicts: 0,
+      noops: 0,
+      failures: []
+    }, waitForCompletion);
+  }
+
+  async deleteByQuery(query, { waitForCompletion = true } = {}) {
+    const ids = this.matchingDocuments(query).map(document => document.id);
+
+    ids.forEach(id => {
+      this.documents.delete(id);
+      this.seqNos.delete(id);
+    });
+
+    return this.taskResponse('indices:data/write/delete/byquery', {
+      took: 0,
+      total: ids.length,
+      updated: 0,
+      deleted: ids.length,
+      batches: 1,
+      version_conflicts: 0,
+      noops: 0,
+      failures: []
+    }, waitForCompletion);
+  }
+
+  async getTask(taskId) {
+    return clone(this.tasks.get(taskId)) || null;
+  }
+
+  async cancelTask(taskId) {
+    if (!this.tasks.has(taskId)) {
+      const error = new Error(`task [${taskId}] is missing`);
+      error.status = 404;
+      throw error;
+    }
+    return { nodes: {}, node_failures: [] };
+  }
+
+  async purgeDeleted(retentionDays = trashRetentionDays()) {
+    const response = await this.deleteByQuery({
+      bool: {
+        filter: [
+          DELETED_FILTER,
+          { range: { deletedAt: { lt: `now-${retentionDays}d` } } }
+        ]
+      }
+    });
+    return { purged: response.deleted, retentionDays };
+  }
+
+  async recordChanges(records) {
+    this.history.push(...clone(records));
+  }
+
+  async getHistory(productId, { from = 0, size = 20 } = {}) {
+    const changes = this.history
+      .filter(record => record.productId === productId)
+      .reverse();
+
+    return { total: changes.length, changes: clone(changes.slice(from, from + size)) };
+  }
+
+  async getChange(changeId) {
+    return clone(this.history.find(record => record.changeId === changeId)) || null;
+  }
+
+  async analyze({ text }) {
+    let offset = 0;
+    return {
+      tokens: tokenize(text).map((token, position) => {
+        const start = String(text).toLowerCase().indexOf(token, offset);
+        offset = start + token.length;
+        return { token, start_offset: start, end_offset: offset, type: '<ALPHANUM>', position };
+      })
+    };
+  }
+
+  // Text analysis here has no synonyms, so there is nothing to reload
+  async reloadSearchAnalyzers() {
+    return { reload_details: [] };
+  }
+
+  async getIndexStats() {
+    const count = this.documents.size;
+    const size = Buffer.byteLength(JSON.stringify(Array.from(this.documents.values())));
+    const stats = { docs: { count, deleted: 0 }, store: { size_in_bytes: size } };
+    return { primaries: stats, total: stats };
+  }
+}
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = InMemorySearchService;
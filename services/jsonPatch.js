@@ -0,0 +1,205 @@
+// RFC 7396 JSON Merge Patch and RFC 6902 JSON Patch, applied to plain documents.
+// Both return a new document and leave the target untouched. Errors carry the
+// HTTP status to answer with: 400 for an invalid patch, 409 for a failed test.
+
+function patchError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function deepEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+// Objects are merged recursively, null removes a member, anything else replaces it
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isObject(target) ? clone(target) : {};
+
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+}
+
+// Splits an RFC 6901 pointer such as "/metadata/brand" into unescaped tokens
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw patchError(`Invalid JSON pointer '${pointer}'`);
+  }
+  return pointer === ''
+    ? []
+    : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function arrayIndex(array, token, pointer, allowEnd) {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw patchError(`Invalid array index '${token}' in '${pointer}'`);
+  }
+
+  const index = parseInt(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw patchError(`Array index ${index} is out of bounds in '${pointer}'`);
+  }
+  return index;
+}
+
+// Returns the container holding the last token of the pointer
+function resolveParent(document, tokens, pointer) {
+  return tokens.slice(0, -1).reduce((value, token) => {
+    if (Array.isArray(value)) {
+      return value[arrayIndex(value, token, pointer, false)];
+    }
+    if (isObject(value) && Object.prototype.hasOwnProperty.call(value, token)) {
+      return value[token];
+    }
+    throw patchError(`Path '${pointer}' does not exist`);
+  }, document);
+}
+
+function getValue(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    return document;
+  }
+
+  const parent = resolveParent(document, tokens, pointer);
+  const token = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, token, pointer, false)];
+  }
+  if (isObject(parent) && Object.prototype.hasOwnProperty.call(parent, token)) {
+    return parent[token];
+  }
+  throw patchError(`Path '${pointer}' does not exist`);
+}
+
+function addValue(document, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const parent = resolveParent(document, tokens, pointer);
+  const token = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, pointer, true), 0, value);
+  } else if (isObject(parent)) {
+    parent[token] = value;
+  } else {
+    throw patchError(`Path '${pointer}' does not exist`);
+  }
+  return document;
+}
+
+function removeValue(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    throw patchError('The document root cannot be removed');
+  }
+
+  const parent = resolveParent(document, tokens, pointer);
+  const token = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, pointer, false), 1);
+  } else if (isObject(parent) && Object.prototype.hasOwnProperty.call(parent, token)) {
+    delete parent[token];
+  } else {
+    throw patchError(`Path '${pointer}' does not exist`);
+  }
+  return document;
+}
+
+function replaceValue(document, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  // Fails if the target does not exist, unlike add
+  getValue(document, pointer);
+
+  const parent = resolveParent(document, tokens, pointer);
+  const token = tokens[tokens.length - 1];
+  parent[Array.isArray(parent) ? arrayIndex(parent, token, pointer, false) : token] = value;
+  return document;
+}
+
+function applyOperation(document, operation, index) {
+  if (!isObject(operation) || typeof operation.op !== 'string') {
+    throw patchError(`Operation ${index} must be an object with an 'op' member`);
+  }
+
+  const { op, path, from } = operation;
+  const requireValue = () => {
+    if (!Object.prototype.hasOwnProperty.call(operation, 'value')) {
+      throw patchError(`Operation ${index} (${op}) requires a 'value' member`);
+    }
+    return clone(operation.value);
+  };
+
+  switch (op) {
+    case 'add':
+      return addValue(document, path, requireValue());
+    case 'remove':
+      return removeValue(document, path);
+    case 'replace':
+      return replaceValue(document, path, requireValue());
+    case 'move': {
+      if (String(path).startsWith(`${from}/`)) {
+        throw patchError(`Operation ${index} cannot move '${from}' into one of its children`);
+      }
+      const value = getValue(document, from);
+      return addValue(removeValue(document, from), path, value);
+    }
+    case 'copy':
+      return addValue(document, path, clone(getValue(document, from)));
+    case 'test':
+      if (!deepEqual(getValue(document, path), operation.value)) {
+        throw patchError(`Test failed: '${path}' does not match the expected value`, 409);
+      }
+      return document;
+    default:
+      throw patchError(`Operation ${index} has unknown op '${op}'`);
+  }
+}
+
+// Operations are applied in order; if any fails the whole patch is rejected
+function applyJsonPatch(target, operations) {
+  if (!Array.isArray(operations)) {
+    throw patchError('A JSON Patch document must be an array of operations');
+  }
+  return operations.reduce((document, operation, index) => applyOperation(document, operation, index), clone(target));
+}
+
+module.exports = { applyMergePatch, applyJsonPatch };
@@ -0,0 +1,61 @@
+// Product names and descriptions come in English, Hindi (Devanagari) and Hinglish
+// (Hindi written in Latin script). Every text field is indexed with all three
+// analyzers as subfields (name.en, name.hi, name.hinglish); `lang` records which
+// one a product is written in, set explicitly or detected from its text.
+
+const { PRODUCT_SCHEMA } = require('../config/productSchema');
+
+const LANGUAGES = PRODUCT_SCHEMA.lang.enum;
+
+// Subfields searched per language, with the base fields as a lower boosted fallback
+// so products written in another language still match
+const LANGUAGE_FIELDS = {
+  en: ['name.en^3', 'description.en^2', 'name^2', 'description', 'category', 'tags'],
+  hi: ['name.hi^3', 'description.hi^2', 'name', 'description', 'category', 'tags'],
+  hinglish: ['name.hinglish^3', 'description.hinglish^2', 'name.en', 'description.en', 'category', 'tags']
+};
+
+const LANGUAGE_ANALYZERS = {
+  en: 'english_analyzer',
+  hi: 'hindi_analyzer',
+  hinglish: 'hinglish_analyzer'
+};
+
+const DEVANAGARI = /[\u0900-\u097F]/;
+
+// Common Hindi words in Latin script that rarely occur in English catalog text
+const HINGLISH_WORDS = new Set([
+  'aur', 'ka', 'ki', 'ke', 'ko', 'se', 'mein', 'hai', 'hain', 'wala', 'wali', 'wale',
+  'naya', 'nayi', 'accha', 'acha', 'sasta', 'sasti', 'bahut', 'liye', 'saath', 'sath',
+  'kurta', 'kurti', 'saree', 'sari', 'dupatta', 'lehenga', 'chappal', 'jutti', 'dhoti',
+  'pyjama', 'chunni', 'thali', 'tawa', 'kadai', 'lota', 'matka', 'jhola', 'rang', 'kapda'
+]);
+
+function isLanguage(value) {
+  return LANGUAGES.includes(value);
+}
+
+// Devanagari script means Hindi; Latin text is Hinglish once at least two of its
+// words (or a fifth of them) are common Hindi words, otherwise English
+function detectLanguage(text) {
+  const value = String(text || '');
+
+  if (DEVANAGARI.test(value)) {
+    return 'hi';
+  }
+
+  const words = value.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  const hindiWords = words.filter(word => HINGLISH_WORDS.has(word)).length;
+
+  return hindiWords >= 2 || (hindiWords > 0 && hindiWords >= words.length / 5) ? 'hinglish' : 'en';
+}
+
+// Keeps an explicit lang and detects it from the name and description otherwise
+function withLanguage(product) {
+  if (isLanguage(product.lang)) {
+    return product;
+  }
+  return { ...product, lang: detectLanguage(`${product.name || ''} ${product.description || ''}`) };
+}
+
+module.exports = { LANGUAGES, LANGUAGE_FIELDS, LANGUAGE_ANALYZERS, isLanguage, detectLanguage, withLanguage };
@@ -0,0 +1,160 @@
+// Compares a live index definition (from getMapping/getSettings) with the
+// desired one from mappings/<name>/v<N>.json.
+
+// Settings that can only be set when an index is created
+const STATIC_SETTINGS = ['number_of_shards', 'codec', 'routing_partition_size', 'sort'];
+
+const ANALYSIS_SECTIONS = ['analyzer', 'tokenizer', 'filter', 'char_filter', 'normalizer'];
+
+// Elasticsearch echoes settings back as strings, so compare everything as strings
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = normalize(value[key]);
+      return result;
+    }, {});
+  }
+  return String(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+// Flattens mapping properties (including multi-fields) into { 'path': params }
+function flattenProperties(properties = {}, prefix = '') {
+  const fields = {};
+
+  Object.entries(properties).forEach(([name, definition]) => {
+    const fieldPath = prefix ? `${prefix}.${name}` : name;
+    const { properties: children, fields: multiFields, ...params } = definition;
+
+    if (children && !params.type) {
+      params.type = 'object';
+    }
+    fields[fieldPath] = params;
+
+    if (children) {
+      Object.assign(fields, flattenProperties(children, fieldPath));
+    }
+    if (multiFields) {
+      Object.assign(fields, flattenProperties(multiFields, fieldPath));
+    }
+  });
+
+  return fields;
+}
+
+// Accepts both `{ index: { number_of_shards } }` and `{ number_of_shards }`
+function unwrapSettings(settings = {}) {
+  const { index, ...rest } = settings;
+  return { ...rest, ...(index || {}) };
+}
+
+function diffMappings(liveMappings = {}, desiredMappings = {}) {
+  const liveFields = flattenProperties(liveMappings.properties);
+  const desiredFields = flattenProperties(desiredMappings.properties);
+  const changes = [];
+
+  Object.entries(desiredFields).forEach(([fieldPath, desired]) => {
+    const live = liveFields[fieldPath];
+
+    if (!live) {
+      // A multi-field added to an existing field is only filled in for documents
+      // written from now on, so the ones already indexed have to be backfilled
+      const parent = liveFields[fieldPath.slice(0, fieldPath.lastIndexOf('.'))];
+      const backfill = Boolean(parent && !['object', 'nested'].includes(parent.type));
+
+      changes.push({ kind: 'mapping', path: fieldPath, change: 'added', desired, breaking: false, ...(backfill && { backfill }) });
+    } else if (!isEqual(live, desired)) {
+      changes.push({ kind: 'mapping', path: fieldPath, change: 'changed', live, desired, breaking: true });
+    }
+  });
+
+  // Fields that only exist in the live index were added by dynamic mapping or
+  // dropped from the definition; a reindex would bring them straight back.
+  const unmanagedFields = Object.keys(liveFields).filter(fieldPath => !desiredFields[fieldPath]);
+
+  return { changes, unmanagedFields };
+}
+
+function diffSettings(liveSettings = {}, desiredSettings = {}) {
+  const live = unwrapSettings(liveSettings);
+  const desired = unwrapSettings(desiredSettings);
+  const changes = [];
+
+  Object.entries(desired).forEach(([key, value]) => {
+    if (key === 'analysis') {
+      return;
+    }
+    if (!isEqual(live[key], value)) {
+      // Documents already indexed have not been through a new default ingest pipeline
+      const backfill = key === 'default_pipeline';
+
+      changes.push({
+        kind: 'settings',
+        path: key,
+        change: live[key] === undefined ? 'added' : 'changed',
+        live: live[key],
+        desired: value,
+        breaking: STATIC_SETTINGS.includes(key),
+        ...(backfill && { backfill })
+      });
+    }
+  });
+
+  const liveAnalysis = live.analysis || {};
+  const desiredAnalysis = desired.analysis || {};
+
+  ANALYSIS_SECTIONS.forEach(section => {
+    const liveComponents = liveAnalysis[section] || {};
+    const desiredComponents = desiredAnalysis[section] || {};
+    const names = new Set([...Object.keys(liveComponents), ...Object.keys(desiredComponents)]);
+
+    names.forEach(name => {
+      const liveComponent = liveComponents[name];
+      const desiredComponent = desiredComponents[name];
+
+      if (isEqual(liveComponent, desiredComponent)) {
+        return;
+      }
+
+      // Analysis components can't change on an open index. A new component can be
+      // added while the index is briefly closed; changing one would leave documents
+      // analyzed the old way, so that takes a reindex.
+      changes.push({
+        kind: 'settings',
+        path: `analysis.${section}.${name}`,
+        change: !liveComponent ? 'added' : !desiredComponent ? 'removed' : 'changed',
+        live: liveComponent,
+        desired: desiredComponent,
+        breaking: !!liveComponent,
+        ...(!liveComponent && { requiresClose: true })
+      });
+    });
+  });
+
+  return changes;
+}
+
+function diffDefinitions(live, desired) {
+  const mappingDiff = diffMappings(live.mappings, desired.mappings);
+  const changes = [...mappingDiff.changes, ...diffSettings(live.settings, desired.settings)];
+  const liveMeta = (live.mappings && live.mappings._meta) || {};
+
+  return {
+    liveVersion: liveMeta.definition_version !== undefined ? parseInt(liveMeta.definition_version) : null,
+    desiredVersion: desired.version,
+    inSync: changes.length === 0,
+    breaking: changes.some(change => change.breaking),
+    requiresClose: changes.some(change => change.requiresClose),
+    requiresBackfill: changes.some(change => change.backfill),
+    changes: changes,
+    unmanagedFields: mappingDiff.unmanagedFields
+  };
+}
+
+module.exports = { ANALYSIS_SECTIONS, isEqual, diffDefinitions, diffMappings, diffSettings, flattenProperties };
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const elasticsearchService = require('./elasticsearchService');
+const { loadIndexDefinition } = require('../config/indexDefinition');
+
+// Two ways to page through search results:
+// - page numbers (from/size) for shallow pages, limited to the index's max_result_window
+// - cursors: the response carries an opaque nextCursor holding the point in time and the
+//   sort values of the last hit, and the next page is fetched with search_after
+
+const MAX_PAGE_SIZE = 100;
+const CURSOR_KEEP_ALIVE = process.env.CURSOR_KEEP_ALIVE || '5m';
+
+function maxResultWindow() {
+  const { settings = {} } = loadIndexDefinition();
+  const configured = (settings.index && settings.index.max_result_window) || settings.max_result_window;
+  return parseInt(configured) || 10000;
+}
+
+const MAX_RESULT_WINDOW = maxResultWindow();
+
+function paginationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.invalidPagination = true;
+  return error;
+}
+
+function parseSize(size) {
+  const parsed = Number(size);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_PAGE_SIZE) {
+    throw paginationError(`size must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return parsed;
+}
+
+// Returns the from offset for a page, or throws once the page is past max_result_window
+function pageOffset(page, size) {
+  const parsed = Number(page);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw paginationError('page must be a positive integer');
+  }
+
+  const from = (parsed - 1) * size;
+  if (from + size > MAX_RESULT_WINDOW) {
+    throw paginationError(
+      `Page ${parsed} with size ${size} is beyond the first ${MAX_RESULT_WINDOW} results; ` +
+      'use cursor pagination (pagination=cursor) to read further'
+    );
+  }
+  return from;
+}
+
+// A cursor only continues the search it came from
+function fingerprint(searchBody, includeDeleted) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([searchBody.query, searchBody.sort, includeDeleted]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (state && typeof state.pit === 'string' && Array.isArray(state.searchAfter)) {
+      return state;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw paginationError('Invalid cursor');
+}
+
+// Runs one page of a cursor-paginated search. Without a cursor a new point in time is
+// opened; it is closed again once the last page has been read. `carry` is kept in the
+// cursor and handed to every later page (see cursorCarry).
+async function searchWithCursor(searchBody, { cursor, size, includeDeleted = false, carry }) {
+  const hash = fingerprint(searchBody, includeDeleted);
+  const state = cursor ? decodeCursor(cursor) : null;
+  const carried = carry || (state && state.carry);
+
+  if (state && state.fingerprint !== hash) {
+    throw paginationError('Cursor does not belong to this search; send the same parameters as for the first page');
+  }
+
+  const pit = state ? state.pit : await elasticsearchService.openPointInTime(CURSOR_KEEP_ALIVE);
+
+  let response;
+  try {
+    response = await elasticsearchService.search({
+      ...searchBody,
+      size: size,
+      pit: { id: pit, keep_alive: CURSOR_KEEP_ALIVE },
+      ...(state && { search_after: state.searchAfter })
+    }, { includeDeleted });
+  } catch (error) {
+    if (state && error.status === 404) {
+      throw paginationError('Cursor has expired; start again from the first page');
+    }
+    if (state && error.status === 400) {
+      throw paginationError('Invalid cursor');
+    }
+    throw error;
+  }
+
+  const hits = response.hits.hits;
+  const pitId = response.pit_id || pit;
+  const lastHit = hits.length === size ? hits[hits.length - 1] : null;
+
+  if (!lastHit) {
+    await elasticsearchService.closePointInTime(pitId);
+  }
+
+  return {
+    response,
+    pit: pitId,
+    nextCursor: lastHit
+      ? encodeCursor({ pit: pitId, searchAfter: lastHit.sort, fingerprint: hash, ...(carried && { carry: carried }) })
+      : null
+  };
+}
+
+// What the first page of a search stored in its cursor with `carry`; empty without a cursor
+function cursorCarry(cursor) {
+  return cursor ? decodeCursor(cursor).carry || {} : {};
+}
+
+// Closes the point in time of a page that will not be continued; the last page has
+// already closed its own
+async function discardCursorPage({ pit, nextCursor }) {
+  if (pit && nextCursor) {
+    await elasticsearchService.closePointInTime(pit);
+  }
+}
+
+module.exports = { MAX_PAGE_SIZE, parseSize, pageOffset, searchWithCursor, cursorCarry, discardCursorPage };
@@ -0,0 +1,178 @@
+const { parseProduct } = require('./productValidation');
+
+// CSV layout shared by the importer template (GET /api/upload/sample) and the
+// catalog export, so an export can be uploaded again as is. A product with variants or
+// store availability takes one row per variant and store: rows with the same id are one
+// product, its fields taken from the first of them, and the sku/variant* cells of each
+// row add a variant and its store* cells a store.
+
+const PRODUCT_COLUMNS = ['id', 'name', 'description', 'category', 'price', 'rating', 'tags', 'inStock', 'brand', 'color', 'size', 'lang'];
+
+// Variant column → variant field
+const VARIANT_COLUMNS = {
+  sku: 'sku',
+  variantColor: 'color',
+  variantSize: 'size',
+  variantPrice: 'price',
+  variantInStock: 'inStock'
+};
+
+// Store column → availability field; the location is written as "lat,lon"
+const STORE_COLUMNS = {
+  storeId: 'storeId',
+  storeName: 'storeName',
+  storeLocation: 'location',
+  storeInStock: 'inStock'
+};
+
+// The product lists that take one row per entry
+const LIST_COLUMNS = { variants: VARIANT_COLUMNS, availability: STORE_COLUMNS };
+
+const CSV_COLUMNS = [...PRODUCT_COLUMNS, ...Object.keys(VARIANT_COLUMNS), ...Object.keys(STORE_COLUMNS)];
+
+function escapeCsv(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsvLine = values => CSV_COLUMNS.map(column => escapeCsv(values[column])).join(',');
+
+const formatLocation = location => (
+  location && typeof location === 'object' && !Array.isArray(location) ? `${location.lat},${location.lon}` : location
+);
+
+// The list cells of one entry, e.g. a variant's sku and variant* cells
+function listCells(columns, entry = {}) {
+  return Object.fromEntries(Object.entries(columns).map(([column, field]) => (
+    [column, field === 'location' ? formatLocation(entry[field]) : entry[field]]
+  )));
+}
+
+// The CSV rows of a product: the first carries the product fields, later ones only the
+// id; row i holds variant i and store i
+function toCsvRows(product) {
+  const metadata = product.metadata || {};
+  const values = {
+    ...product,
+    tags: Array.isArray(product.tags) ? product.tags.join(',') : product.tags,
+    brand: metadata.brand,
+    color: metadata.color,
+    size: metadata.size
+  };
+  const lists = Object.keys(LIST_COLUMNS).map(name => (Array.isArray(product[name]) ? product[name] : []));
+  const rowCount = Math.max(1, ...lists.map(list => list.length));
+
+  return Array.from({ length: rowCount }, (row, index) => toCsvLine(Object.assign(
+    index === 0 ? { ...values } : { id: product.id },
+    ...Object.values(LIST_COLUMNS).map((columns, list) => listCells(columns, lists[list][index]))
+  )));
+}
+
+const present = values => Object.entries(values).filter(([, value]) => value !== undefined && value !== '');
+
+// Empty cells count as missing; brand, color and size go into metadata
+function fromCsvRow(row) {
+  const { brand, color, size, ...fields } = row;
+  Object.values(LIST_COLUMNS).forEach(columns => Object.keys(columns).forEach(column => delete fields[column]));
+
+  const product = Object.fromEntries(present(fields));
+  const metadata = Object.fromEntries(present({ brand, color, size }));
+
+  return Object.keys(metadata).length > 0 ? { ...product, metadata } : product;
+}
+
+// The list entry on a row (a variant or a store), or null when its cells are empty
+function entryFromCsvRow(row, columns) {
+  const entry = Object.fromEntries(
+    present(Object.fromEntries(Object.entries(columns).map(([column, field]) => [field, row[column]])))
+  );
+  return Object.keys(entry).length > 0 ? entry : null;
+}
+
+// Groups rows by id (rows without one are products of their own); returns
+// [{ rows, product, entryRows, conflicts }] with row numbers counting the header as
+// row 1. entryRows lists the { row, entry } of each list (variants, availability);
+// conflicts are later rows whose product cells differ from the first row's
+function groupCsvRows(rows) {
+  const groups = [];
+  const byId = new Map();
+
+  rows.forEach((row, index) => {
+    const number = index + 2;
+    const id = row.id ? row.id.trim() : '';
+    let group = id && byId.get(id);
+
+    if (!group) {
+      group = {
+        rows: [],
+        product: fromCsvRow(row),
+        entryRows: Object.fromEntries(Object.keys(LIST_COLUMNS).map(name => [name, []])),
+        conflicts: []
+      };
+      groups.push(group);
+      if (id) {
+        byId.set(id, group);
+      }
+    } else {
+      const first = group.product;
+      const product = fromCsvRow(row);
+      const fields = Object.keys(product).filter(field => field !== 'metadata');
+      const metadataFields = Object.keys(product.metadata || {});
+
+      fields
+        .filter(field => product[field] !== first[field])
+        .concat(metadataFields
+          .filter(field => product.metadata[field] !== (first.metadata || {})[field])
+          .map(field => `metadata.${field}`))
+        .forEach(field => group.conflicts.push({
+          row: number,
+          error: `${field} differs from row ${group.rows[0]} of product ${id}`
+        }));
+    }
+
+    group.rows.push(number);
+    Object.entries(LIST_COLUMNS).forEach(([name, columns]) => {
+      const entry = entryFromCsvRow(row, columns);
+      if (entry) {
+        group.entryRows[name].push({ row: number, entry });
+      }
+    });
+  });
+
+  return groups;
+}
+
+// Checks parsed CSV rows against the product schema. Problems name the row they are
+// on, counting the header as row 1.
+function productsFromCsvRows(rows, { mode = 'strict' } = {}) {
+  const products = [];
+  const invalid = [];
+  const ignoredFields = new Set();
+
+  groupCsvRows(rows).forEach(group => {
+    const input = { ...group.product };
+    Object.entries(group.entryRows)
+      .filter(([, entries]) => entries.length > 0)
+      .forEach(([name, entries]) => { input[name] = entries.map(({ entry }) => entry); });
+    const { product, errors, ignored } = parseProduct(input, { mode, create: true });
+
+    invalid.push(...group.conflicts);
+    errors.forEach(error => {
+      // Variant and store problems belong to the row the entry is on
+      const match = error.match(/^(variants|availability)\[(\d+)\]/);
+      const row = match ? group.entryRows[match[1]][Number(match[2])].row : group.rows[0];
+      invalid.push({ row, error });
+    });
+    ignored.forEach(field => ignoredFields.add(field));
+    products.push(product);
+  });
+
+  invalid.sort((a, b) => a.row - b.row);
+  return { products, invalid, ignoredFields: Array.from(ignoredFields) };
+}
+
+module.exports = { CSV_COLUMNS, toCsvRows, productsFromCsvRows };
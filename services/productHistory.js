@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const elasticsearchService = require('./elasticsearchService');
+
+// Every write to a product through the API leaves a change record in the history
+// index: who changed what, through which route, and full snapshots before and after
+// so the product can be rolled back to any recorded revision.
+
+// Bookkeeping fields that change on every write and would only add noise to diffs
+const IGNORED_FIELDS = ['updatedAt'];
+
+function requestActor(req) {
+  return req.get('X-User') || 'anonymous';
+}
+
+// e.g. "PUT /api/products/:id" or "POST /api/upload/csv"
+function requestSource(req) {
+  const routePath = req.route && req.route.path !== '/' ? req.route.path : '';
+  return `${req.method} ${req.baseUrl}${routePath}`;
+}
+
+// Flattens nested objects into dot paths; arrays are compared as whole values
+function flatten(document, prefix = '', result = {}) {
+  Object.entries(document || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+}
+
+// Returns [{ field, from, to }] for every field that differs between two snapshots
+function diffDocuments(before, after) {
+  const previous = flatten(before);
+  const current = flatten(after);
+  const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+  return Array.from(fields)
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(current[field]))
+    .sort()
+    .map(field => ({
+      field,
+      from: previous[field] === undefined ? null : previous[field],
+      to: current[field] === undefined ? null : current[field]
+    }));
+}
+
+function buildChangeRecord(req, { action, productId, before, after, revertedTo }) {
+  const changes = diffDocuments(before, after);
+
+  return {
+    changeId: crypto.randomUUID(),
+    productId: productId,
+    action: action,
+    source: requestSource(req),
+    actor: requestActor(req),
+    timestamp: new Date().toISOString(),
+    changedFields: changes.map(change => change.field),
+    changes: changes,
+    before: before || null,
+    after: after || null,
+    ...(revertedTo && { revertedTo })
+  };
+}
+
+// Records changes made by a request. The product write has already succeeded at this
+// point, so a failing history write is logged rather than failing the request.
+async function recordChanges(req, changes) {
+  if (changes.length === 0) {
+    return;
+  }
+
+  try {
+    await elasticsearchService.recordChanges(changes.map(change => buildChangeRecord(req, change)));
+  } catch (error) {
+    console.error(`Failed to record ${changes.length} product change(s) in history:`, error.message);
+  }
+}
+
+// Records the outcome of a bulk write. `before` maps ids to the documents they
+// replaced; products that failed to index are skipped.
+async function recordBulkChanges(req, documents, before, result) {
+  const failed = new Set(result.failures.map(failure => failure.id));
+
+  await recordChanges(req, documents
+    .filter(document => !failed.has(document.id))
+    .map(document => ({
+      action: before.has(document.id) ? 'update' : 'create',
+      productId: document.id,
+      before: before.get(document.id),
+      after: document
+    })));
+}
+
+module.exports = { requestActor, diffDocuments, buildChangeRecord, recordChanges, recordBulkChanges };
@@ -0,0 +1,219 @@
+const { PRODUCT_SCHEMA } = require('../config/productSchema');
+
+// Checks product payloads against the product schema (config/productSchema.js) before
+// they are written. Values are coerced where that cannot lose information: numeric
+// strings become numbers, 'true'/'false' booleans, numbers strings, a comma-separated
+// string a list of tags and a 'lat,lon' string a geo point. Fields the schema does not know, and fields
+// set by the server on a new product, are rejected in strict mode and dropped in
+// lenient mode.
+
+const SCHEMA_MODES = ['strict', 'lenient'];
+
+const REQUIRED_FIELDS = Object.keys(PRODUCT_SCHEMA).filter(field => PRODUCT_SCHEMA[field].required);
+
+// Set when the product is created or by the trash routes, never by an update
+const PROTECTED_FIELDS = ['id', 'createdAt', 'deleted', 'deletedAt', 'deletedBy'];
+
+const NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// ?schemaMode=strict|lenient, defaulting to PRODUCT_SCHEMA_MODE
+function schemaModeRequested(req, env = process.env) {
+  if (SCHEMA_MODES.includes(req.query.schemaMode)) {
+    return req.query.schemaMode;
+  }
+  return SCHEMA_MODES.includes(env.PRODUCT_SCHEMA_MODE) ? env.PRODUCT_SCHEMA_MODE : 'strict';
+}
+
+function coerce(field, value) {
+  if (field.type === 'number' && typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) {
+    return Number(value);
+  }
+  if (field.type === 'boolean' && typeof value === 'string' && ['true', 'false'].includes(value.trim().toLowerCase())) {
+    return value.trim().toLowerCase() === 'true';
+  }
+  if (field.type === 'string' && typeof value === 'number' && Number.isFinite(value)) {
+    return String(value);
+  }
+  if (field.type === 'array' && typeof value === 'string') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (field.type === 'geo_point' && typeof value === 'string') {
+    const [lat, lon, ...rest] = value.split(',').map(part => part.trim());
+    return rest.length === 0 && NUMBER_PATTERN.test(lat) && NUMBER_PATTERN.test(lon || '')
+      ? { lat: Number(lat), lon: Number(lon) }
+      : value;
+  }
+  return value;
+}
+
+const describe = value => JSON.stringify(value) || String(value);
+
+// Checks one value; returns [coercedValue, errors]
+function checkValue(field, value, path, context) {
+  if (value === null) {
+    return field.required ? [value, [`${path} is required`]] : [value, []];
+  }
+
+  const coerced = context.coerce ? coerce(field, value) : value;
+
+  switch (field.type) {
+    case 'number':
+      if (typeof coerced !== 'number' || !Number.isFinite(coerced)) {
+        return [coerced, [`${path} must be a number (got ${describe(value)})`]];
+      }
+      if (field.minimum !== undefined && coerced < field.minimum) {
+        return [coerced, [`${path} must be at least ${field.minimum}`]];
+      }
+      if (field.maximum !== undefined && coerced > field.maximum) {
+        return [coerced, [`${path} must be at most ${field.maximum}`]];
+      }
+      return [coerced, []];
+
+    case 'boolean':
+      return typeof coerced === 'boolean'
+        ? [coerced, []]
+        : [coerced, [`${path} must be a boolean (got ${describe(value)})`]];
+
+    case 'array': {
+      if (!Array.isArray(coerced)) {
+        return [coerced, [`${path} must be an array (got ${describe(value)})`]];
+      }
+      const checked = coerced.map((item, index) => checkValue(field.items, item, `${path}[${index}]`, context));
+      const items = checked.map(([item]) => item);
+      const errors = checked.flatMap(([, itemErrors]) => itemErrors);
+
+      if (field.uniqueBy) {
+        const seen = new Set();
+        items.forEach((item, index) => {
+          const key = isObject(item) ? item[field.uniqueBy] : undefined;
+          if (key !== undefined && seen.has(key)) {
+            errors.push(`${path}[${index}].${field.uniqueBy} ${describe(key)} is used more than once`);
+          }
+          seen.add(key);
+        });
+      }
+      return [items, errors];
+    }
+
+    case 'geo_point': {
+      const validCoordinate = (coordinate, limit) =>
+        typeof coordinate === 'number' && Number.isFinite(coordinate) && Math.abs(coordinate) <= limit;
+
+      if (!isObject(coerced) || Object.keys(coerced).some(key => !['lat', 'lon'].includes(key))) {
+        return [coerced, [`${path} must be a geo point { lat, lon } (got ${describe(value)})`]];
+      }
+      if (!validCoordinate(coerced.lat, 90) || !validCoordinate(coerced.lon, 180)) {
+        return [coerced, [`${path} must have a lat between -90 and 90 and a lon between -180 and 180`]];
+      }
+      return [coerced, []];
+    }
+
+    case 'object':
+      if (!isObject(coerced)) {
+        return [coerced, [`${path} must be an object (got ${describe(value)})`]];
+      }
+      return checkObject(field.properties, coerced, `${path}.`, context);
+
+    default:
+      if (typeof coerced !== 'string') {
+        return [coerced, [`${path} must be a string (got ${describe(value)})`]];
+      }
+      if (field.minLength && coerced.trim().length < field.minLength) {
+        return [coerced, [`${path} must be a non-empty string`]];
+      }
+      if (field.enum && !field.enum.includes(coerced)) {
+        return [coerced, [`${path} must be one of ${field.enum.join(', ')}`]];
+      }
+      if (field.format === 'date-time' && Number.isNaN(Date.parse(coerced))) {
+        return [coerced, [`${path} must be a date-time`]];
+      }
+      return [coerced, []];
+  }
+}
+
+function checkObject(schema, input, prefix, context) {
+  const result = {};
+  const errors = [];
+
+  Object.entries(input).forEach(([name, value]) => {
+    const field = schema[name];
+    const path = `${prefix}${name}`;
+
+    if (value === undefined) {
+      return;
+    }
+    if (!field || (context.create && field.readOnly)) {
+      if (context.mode === 'lenient') {
+        context.ignored.push(path);
+      } else {
+        errors.push(field ? `${path} is set by the server` : `${path} is not a known field`);
+      }
+      return;
+    }
+
+    const [coerced, fieldErrors] = checkValue(field, value, path, context);
+    result[name] = coerced;
+    errors.push(...fieldErrors);
+  });
+
+  Object.entries(schema)
+    .filter(([name, field]) => field.required && input[name] === undefined)
+    .forEach(([name]) => errors.push(`${prefix}${name} is required`));
+
+  return [result, errors];
+}
+
+// Checks a complete product. `create` is set for new products, which may not carry the
+// fields the server sets. Returns the coerced product, a list of problems (empty when
+// it is valid) and the fields dropped in lenient mode.
+function parseProduct(input, { mode = 'strict', create = false } = {}) {
+  if (!isObject(input)) {
+    return { product: input, errors: ['Product must be an object'], ignored: [] };
+  }
+
+  const context = { mode, create, coerce: true, ignored: [] };
+  const [product, errors] = checkObject(PRODUCT_SCHEMA, input, '', context);
+
+  return { product, errors, ignored: context.ignored };
+}
+
+// Checks a single field value as is, without coercion (used by update-by-query);
+// returns a problem or null. Fields outside the schema are left to the caller.
+function fieldError(path, value) {
+  const field = path.split('.').reduce((current, name) => (
+    current && current.type === 'object' ? current.properties[name] : undefined
+  ), { type: 'object', properties: PRODUCT_SCHEMA });
+
+  if (!field) {
+    return null;
+  }
+  const [, errors] = checkValue(field, value, path, { mode: 'strict', create: false, coerce: false, ignored: [] });
+  return errors[0] || null;
+}
+
+// Lists the protected fields an update would change
+function changedProtectedFields(before, after) {
+  return PROTECTED_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// Bulk and CSV writes that overwrite an existing product keep its creation date, as PUT
+// does; `existing` maps ids to the stored products
+function keepCreatedAt(products, existing) {
+  return products.map(product => {
+    const stored = existing.get(product.id);
+    return stored && stored.createdAt ? { ...product, createdAt: stored.createdAt } : product;
+  });
+}
+
+module.exports = {
+  SCHEMA_MODES,
+  REQUIRED_FIELDS,
+  PROTECTED_FIELDS,
+  schemaModeRequested,
+  parseProduct,
+  fieldError,
+  changedProtectedFields,
+  keepCreatedAt
+};
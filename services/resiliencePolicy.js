@@ -0,0 +1,198 @@
+// Retry, timeout and circuit-breaker policy applied to every Elasticsearch call.
+// Operations are grouped so searches can time out sooner than bulk writes.
+
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+const CONNECTION_ERRORS = ['ConnectionFault', 'NoConnections'];
+const IDEMPOTENT_OPERATIONS = ['search', 'read'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CircuitBreaker {
+  constructor({ threshold, resetTimeout }) {
+    this.threshold = threshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.timesOpened = 0;
+    this.rejected = 0;
+  }
+
+  // Once resetTimeout has passed an open breaker lets a single trial request
+  // through (half open); everything else keeps failing fast until it returns.
+  allowRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half_open';
+      return true;
+    }
+    this.rejected++;
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.threshold) {
+      if (this.state === 'closed') {
+        this.timesOpened++;
+        console.warn(`Elasticsearch circuit breaker opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      threshold: this.threshold,
+      resetTimeout: this.resetTimeout,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      timesOpened: this.timesOpened,
+      rejected: this.rejected
+    };
+  }
+}
+
+class ResiliencePolicy {
+  constructor({ maxRetries, baseDelay, maxDelay, timeouts, breaker }) {
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.timeouts = timeouts;
+    this.breaker = new CircuitBreaker(breaker);
+    this.operations = {};
+  }
+
+  static fromEnv(env = process.env) {
+    const number = (value, defaultValue) => {
+      const parsed = parseInt(value);
+      return Number.isNaN(parsed) ? defaultValue : parsed;
+    };
+
+    return new ResiliencePolicy({
+      maxRetries: number(env.ELASTICSEARCH_MAX_RETRIES, 3),
+      baseDelay: number(env.ELASTICSEARCH_RETRY_BASE_DELAY, 100),
+      maxDelay: number(env.ELASTICSEARCH_RETRY_MAX_DELAY, 2000),
+      timeouts: {
+        search: number(env.ELASTICSEARCH_SEARCH_TIMEOUT, 10000),
+        read: number(env.ELASTICSEARCH_READ_TIMEOUT, 10000),
+        write: number(env.ELASTICSEARCH_WRITE_TIMEOUT, 30000),
+        bulk: number(env.ELASTICSEARCH_BULK_TIMEOUT, 120000),
+        admin: number(env.ELASTICSEARCH_ADMIN_TIMEOUT, 60000)
+      },
+      breaker: {
+        threshold: number(env.ELASTICSEARCH_BREAKER_THRESHOLD, 5),
+        resetTimeout: number(env.ELASTICSEARCH_BREAKER_RESET_TIMEOUT, 30000)
+      }
+    });
+  }
+
+  isRetryable(operation, error) {
+    const status = error.status || error.statusCode;
+    const name = error.constructor && error.constructor.name;
+
+    if (RETRYABLE_STATUS_CODES.includes(status)) {
+      return true;
+    }
+    if (CONNECTION_ERRORS.includes(name) || /ECONNRESET|ECONNREFUSED|socket hang up/i.test(error.message || '')) {
+      return true;
+    }
+    // A timed out write may still have been applied, so only reads are retried
+    return name === 'RequestTimeout' && IDEMPOTENT_OPERATIONS.includes(operation);
+  }
+
+  // Only failures that say something about cluster health trip the breaker;
+  // a 404 or a malformed query does not.
+  isClusterFailure(error) {
+    const status = error.status || error.statusCode;
+    const name = error.constructor && error.constructor.name;
+    return RETRYABLE_STATUS_CODES.includes(status) || status >= 500 ||
+      [...CONNECTION_ERRORS, 'RequestTimeout'].includes(name);
+  }
+
+  backoff(attempt) {
+    const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+    // Full jitter keeps retries from many requests from lining up
+    return Math.round(Math.random() * delay);
+  }
+
+  statsFor(operation) {
+    if (!this.operations[operation]) {
+      this.operations[operation] = { calls: 0, retries: 0, failures: 0, timeouts: 0 };
+    }
+    return this.operations[operation];
+  }
+
+  async run(operation, attempt) {
+    const stats = this.statsFor(operation);
+    stats.calls++;
+
+    if (!this.breaker.allowRequest()) {
+      const error = new Error('Elasticsearch is unavailable (circuit breaker open), failing fast');
+      error.status = 503;
+      error.circuitOpen = true;
+      throw error;
+    }
+
+    const timeout = this.timeouts[operation] || this.timeouts.admin;
+
+    for (let retry = 0; ; retry++) {
+      try {
+        const response = await attempt(timeout);
+        this.breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        if (error.constructor && error.constructor.name === 'RequestTimeout') {
+          stats.timeouts++;
+        }
+
+        if (retry < this.maxRetries && this.isRetryable(operation, error)) {
+          stats.retries++;
+          await sleep(this.backoff(retry));
+          continue;
+        }
+
+        if (this.isClusterFailure(error)) {
+          stats.failures++;
+          this.breaker.recordFailure();
+        } else {
+          // The cluster answered, so it is reachable
+          this.breaker.recordSuccess();
+        }
+        throw error;
+      }
+    }
+  }
+
+  isDegraded() {
+    return this.breaker.getStats().state !== 'closed';
+  }
+
+  getStats() {
+    const operations = this.operations;
+    return {
+      breaker: this.breaker.getStats(),
+      retries: Object.values(operations).reduce((total, stats) => total + stats.retries, 0),
+      operations: operations,
+      config: {
+        maxRetries: this.maxRetries,
+        baseDelay: this.baseDelay,
+        maxDelay: this.maxDelay,
+        timeouts: this.timeouts
+      }
+    };
+  }
+}
+
+module.exports = { ResiliencePolicy, CircuitBreaker };
@@ -0,0 +1,371 @@
+const { LANGUAGE_FIELDS, detectLanguage } = require('./language');
+
+// Builds the query clause for the search request body shared by POST /api/search
+// and the admin by-query operations: a free-text query run as `searchType`, narrowed
+// down by the structured filters. With a `language` (or 'auto' to detect it from the
+// query) the text is matched on that language's subfields, falling back to the base
+// fields, and products written in the language rank first.
+// filters.variant matches products with one variant meeting all of its conditions;
+// filters.near ({ lat, lon, radius }) products in stock at a store within the radius.
+// `innerHits` returns the matching variants and the nearest such store with each hit.
+function buildSearchQuery({ query, filters = {}, searchType = 'multi_match', language, innerHits = false }) {
+  let searchQuery = {};
+  const lang = language === 'auto' ? detectLanguage(query) : language;
+
+  // Build query based on search type
+  switch (searchType) {
+    case 'multi_match':
+      searchQuery = {
+        query: {
+          multi_match: {
+            query: query,
+            fields: lang ? LANGUAGE_FIELDS[lang] : ['name^3', 'description^2', 'category', 'tags'],
+            type: 'best_fields',
+            fuzziness: 'AUTO'
+          }
+        }
+      };
+      break;
+    
+    case 'match_phrase':
+      searchQuery = {
+        query: {
+          match_phrase: {
+            [lang ? `name.${lang}` : 'name']: {
+              query: query,
+              slop: 2
+            }
+          }
+        }
+      };
+      break;
+    
+    case 'wildcard':
+      searchQuery = {
+        query: {
+          wildcard: {
+            name: {
+              value: `*${query}*`,
+              case_insensitive: true
+            }
+          }
+        }
+      };
+      break;
+    
+    case 'as_you_type':
+      searchQuery = { query: asYouTypeQuery(query) };
+      break;
+
+    case 'fuzzy':
+      searchQuery = {
+        query: {
+          fuzzy: {
+            name: {
+              value: query,
+              fuzziness: 2
+            }
+          }
+        }
+      };
+      break;
+    
+    default:
+      searchQuery = {
+        query: {
+          match_all: {}
+        }
+      };
+  }
+
+  if (lang && ['multi_match', 'match_phrase'].includes(searchType)) {
+    searchQuery = {
+      query: {
+        bool: {
+          must: [searchQuery.query],
+          should: [{ term: { lang: { value: lang, boost: 2 } } }]
+        }
+      }
+    };
+  }
+
+  // Add filters
+  if (Object.keys(filters).length > 0) {
+    const filterQueries = [];
+    
+    if (filters.category) {
+      filterQueries.push({
+        term: { category: filters.category }
+      });
+    }
+    
+    if (filters.priceMin !== undefined || filters.priceMax !== undefined) {
+      const priceRange = {};
+      if (filters.priceMin !== undefined) priceRange.gte = filters.priceMin;
+      if (filters.priceMax !== undefined) priceRange.lte = filters.priceMax;
+      
+      filterQueries.push({
+        range: { price: priceRange }
+      });
+    }
+    
+    if (filters.rating) {
+      filterQueries.push({
+        range: { rating: { gte: filters.rating } }
+      });
+    }
+    
+    if (filters.inStock !== undefined) {
+      filterQueries.push({
+        term: { inStock: filters.inStock }
+      });
+    }
+    
+    if (filters.lang) {
+      filterQueries.push({
+        term: { lang: filters.lang }
+      });
+    }
+
+    if (filters.tags && filters.tags.length > 0) {
+      filterQueries.push({
+        terms: { tags: filters.tags }
+      });
+    }
+
+    if (filters.variant && Object.keys(filters.variant).length > 0) {
+      filterQueries.push(variantFilter(filters.variant, innerHits));
+    }
+
+    if (filters.near) {
+      filterQueries.push(nearFilter(filters.near, innerHits));
+    }
+
+    if (filterQueries.length > 0) {
+      searchQuery = {
+        query: {
+          bool: {
+            must: [searchQuery.query],
+            filter: filterQueries
+          }
+        }
+      };
+    }
+  }
+
+  return searchQuery;
+}
+
+// Search-as-you-type: the last term is still being typed, so it matches as a prefix
+// through name.autocomplete (the edge n-grams of every word, searched with the standard
+// analyzer so the typed text is not split into n-grams itself), while the earlier
+// terms have to match in full. Names starting with the whole text rank first.
+function asYouTypeQuery(text) {
+  const typed = String(text || '').trim();
+  const terms = typed.split(/\s+/).filter(Boolean);
+  const last = terms.pop() || '';
+
+  return {
+    bool: {
+      must: [
+        ...(terms.length > 0 ? [{ match: { name: { query: terms.join(' '), operator: 'and' } } }] : []),
+        { match: { 'name.autocomplete': { query: last, analyzer: 'standard', operator: 'and' } } }
+      ],
+      should: [
+        { prefix: { 'name.keyword': { value: typed, case_insensitive: true, boost: 2 } } }
+      ]
+    }
+  };
+}
+
+// One nested query, so every condition has to hold for the same variant
+function variantFilter(variant, innerHits) {
+  const conditions = [];
+
+  ['sku', 'color', 'size', 'inStock'].forEach(field => {
+    if (variant[field] !== undefined) {
+      conditions.push({ term: { [`variants.${field}`]: variant[field] } });
+    }
+  });
+
+  if (variant.priceMin !== undefined || variant.priceMax !== undefined) {
+    const priceRange = {};
+    if (variant.priceMin !== undefined) priceRange.gte = variant.priceMin;
+    if (variant.priceMax !== undefined) priceRange.lte = variant.priceMax;
+
+    conditions.push({ range: { 'variants.price': priceRange } });
+  }
+
+  return {
+    nested: {
+      path: 'variants',
+      query: { bool: { filter: conditions } },
+      ...(innerHits && { inner_hits: { name: 'variants', size: 10 } })
+    }
+  };
+}
+
+const DEFAULT_RADIUS = '25km';
+const RADIUS_PATTERN = /^\d+(\.\d+)?(m|km|mi)$/;
+
+const origin = near => ({ lat: Number(near.lat), lon: Number(near.lon) });
+
+// Lists the problems with a near filter; empty when it is valid
+function nearErrors(near) {
+  if (near === null || typeof near !== 'object' || Array.isArray(near)) {
+    return ['filters.near must be an object with lat, lon and an optional radius'];
+  }
+
+  const errors = [];
+  const { lat, lon } = origin(near);
+
+  if (near.lat === undefined || near.lat === '' || !Number.isFinite(lat) || Math.abs(lat) > 90) {
+    errors.push('filters.near.lat must be a number between -90 and 90');
+  }
+  if (near.lon === undefined || near.lon === '' || !Number.isFinite(lon) || Math.abs(lon) > 180) {
+    errors.push('filters.near.lon must be a number between -180 and 180');
+  }
+  if (near.radius !== undefined && !RADIUS_PATTERN.test(String(near.radius))) {
+    errors.push('filters.near.radius must be a distance such as 500m, 10km or 5mi');
+  }
+  return errors;
+}
+
+// Sorts by the distance in km to the nearest store that has the product in stock
+function distanceSort(near, order = 'asc') {
+  return {
+    _geo_distance: {
+      'availability.location': origin(near),
+      order: order,
+      unit: 'km',
+      nested: {
+        path: 'availability',
+        filter: { term: { 'availability.inStock': true } }
+      }
+    }
+  };
+}
+
+// Products in stock at a store within the radius; the inner hit is the nearest of them
+function nearFilter(near, innerHits) {
+  return {
+    nested: {
+      path: 'availability',
+      query: {
+        bool: {
+          filter: [
+            { term: { 'availability.inStock': true } },
+            { geo_distance: { distance: near.radius || DEFAULT_RADIUS, 'availability.location': origin(near) } }
+          ]
+        }
+      },
+      ...(innerHits && {
+        inner_hits: {
+          name: 'nearest_store',
+          size: 1,
+          sort: [{ _geo_distance: { 'availability.location': origin(near), order: 'asc', unit: 'km' } }]
+        }
+      })
+    }
+  };
+}
+
+// Hit highlighting: `highlight: true` for the defaults or an object overriding some of them
+const HIGHLIGHT_FIELDS = ['name', 'description'];
+const DEFAULT_HIGHLIGHT = {
+  fields: HIGHLIGHT_FIELDS,
+  fragmentSize: 150,
+  numberOfFragments: 3,
+  preTag: '<em>',
+  postTag: '</em>'
+};
+const MAX_FRAGMENTS = 10;
+
+// Tags are a plain element, optionally with a class, closed by the same element:
+// '<mark class="hit">' and '</mark>'
+const PRE_TAG_PATTERN = /^<([a-z][a-z0-9]*)(\s+class="[\w\s-]*")?>$/i;
+
+const highlightOptions = highlight => ({ ...DEFAULT_HIGHLIGHT, ...(highlight === true ? {} : highlight) });
+
+// Lists the problems with a highlight request; empty when it is valid
+function highlightErrors(highlight) {
+  if (typeof highlight === 'boolean') {
+    return [];
+  }
+  if (highlight === null || typeof highlight !== 'object' || Array.isArray(highlight)) {
+    return ['highlight must be true or an object with fields, fragmentSize, numberOfFragments, preTag and postTag'];
+  }
+
+  const errors = [];
+  const { fields, fragmentSize, numberOfFragments, preTag, postTag } = highlightOptions(highlight);
+
+  if (!Array.isArray(fields) || fields.length === 0 || fields.some(field => !HIGHLIGHT_FIELDS.includes(field))) {
+    errors.push(`highlight.fields must be a non-empty list of ${HIGHLIGHT_FIELDS.join(', ')}`);
+  }
+  if (!Number.isInteger(fragmentSize) || fragmentSize < 20 || fragmentSize > 1000) {
+    errors.push('highlight.fragmentSize must be an integer between 20 and 1000');
+  }
+  if (!Number.isInteger(numberOfFragments) || numberOfFragments < 0 || numberOfFragments > MAX_FRAGMENTS) {
+    errors.push(`highlight.numberOfFragments must be an integer between 0 (whole field) and ${MAX_FRAGMENTS}`);
+  }
+  const element = typeof preTag === 'string' && preTag.match(PRE_TAG_PATTERN);
+  if (!element) {
+    errors.push('highlight.preTag must be an HTML start tag such as <em> or <mark class="hit">');
+  } else if (postTag !== `</${element[1]}>`) {
+    errors.push(`highlight.postTag must close the preTag (</${element[1]}>)`);
+  }
+  return errors;
+}
+
+// The highlighted field for each requested one. The as_you_type query matches the name
+// through name.autocomplete, so its prefixes are highlighted there, as on /instant.
+const highlightField = (field, searchType) => (
+  searchType === 'as_you_type' && field === 'name' ? 'name.autocomplete' : field
+);
+
+// The highlight section of the search body. The language subfields, synonyms and fuzzy
+// variants the query matched are all terms of the query, so with require_field_match
+// off they are highlighted in the base name and description fields. The html encoder
+// escapes the product text around the tags, so fragments are safe to render as HTML.
+function buildHighlight(highlight, { query, searchType = 'multi_match' } = {}) {
+  const { fields, fragmentSize, numberOfFragments, preTag, postTag } = highlightOptions(highlight);
+
+  return {
+    encoder: 'html',
+    pre_tags: [preTag],
+    post_tags: [postTag],
+    fragment_size: fragmentSize,
+    number_of_fragments: numberOfFragments,
+    require_field_match: false,
+    fields: fields.reduce((highlightFields, field) => {
+      const name = highlightField(field, searchType);
+      highlightFields[name] = name === 'name.autocomplete'
+        ? { highlight_query: { match: { [name]: { query: query, analyzer: 'standard' } } } }
+        : {};
+      return highlightFields;
+    }, {})
+  };
+}
+
+// The fragments of a hit by requested field
+function toHighlights(hit, highlight, searchType = 'multi_match') {
+  const { fields } = highlightOptions(highlight);
+
+  return fields.reduce((highlights, field) => {
+    const fragments = hit.highlight && hit.highlight[highlightField(field, searchType)];
+    if (fragments) {
+      highlights[field] = fragments;
+    }
+    return highlights;
+  }, {});
+}
+
+module.exports = {
+  buildSearchQuery,
+  asYouTypeQuery,
+  nearErrors,
+  distanceSort,
+  highlightErrors,
+  buildHighlight,
+  toHighlights
+};
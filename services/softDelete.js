@@ -0,0 +1,24 @@
+// Products are soft-deleted: DELETE flags them and they stay in the index until purged.
+// The public routes always leave them out; only the admin routes list them.
+
+const DELETED_FILTER = { term: { deleted: true } };
+
+function excludeDeleted(query = {}) {
+  return {
+    ...query,
+    query: {
+      bool: {
+        must: [query.query || { match_all: {} }],
+        must_not: [DELETED_FILTER]
+      }
+    }
+  };
+}
+
+// Days a product stays in the trash before the purge job removes it for good
+function trashRetentionDays(env = process.env) {
+  const parsed = parseInt(env.TRASH_RETENTION_DAYS);
+  return Number.isNaN(parsed) ? 30 : parsed;
+}
+
+module.exports = { DELETED_FILTER, excludeDeleted, trashRetentionDays };
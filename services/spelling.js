@@ -0,0 +1,51 @@
+// "Did you mean" corrections come from a phrase suggester on the `spell` field, which
+// holds the words and word shingles (two and three word phrases) of every product's
+// name and description, copied there by the mapping. The shingles make the suggester
+// prefer corrections that read like phrases in the catalog; the collate query keeps
+// only corrections that match at least one product.
+
+const { DELETED_FILTER } = require('./softDelete');
+
+const SPELL_FIELD = 'spell';
+
+// Searches with at most this many results get a correction
+const FEW_RESULTS = 3;
+
+// Corrections are only offered when they match a product outside the trash
+function buildDidYouMeanSuggester(text) {
+  const collate = {
+    match: {
+      '{{field_name}}': { query: '{{suggestion}}', operator: 'and', analyzer: 'standard' }
+    }
+  };
+
+  return {
+    text: text,
+    did_you_mean: {
+      phrase: {
+        field: SPELL_FIELD,
+        size: 3,
+        gram_size: 3,
+        max_errors: 2,
+        direct_generator: [{ field: SPELL_FIELD, suggest_mode: 'missing' }],
+        highlight: { pre_tag: '<em>', post_tag: '</em>' },
+        collate: {
+          query: {
+            source: { bool: { must: collate, must_not: [DELETED_FILTER] } }
+          },
+          params: { field_name: SPELL_FIELD }
+        }
+      }
+    }
+  };
+}
+
+// The best correction of the search text, or null when there is none
+function toDidYouMean(response, text) {
+  const [entry] = (response.suggest && response.suggest.did_you_mean) || [];
+  const option = entry && entry.options.find(candidate => candidate.text.toLowerCase() !== String(text).trim().toLowerCase());
+
+  return option ? { text: option.text, highlighted: option.highlighted, score: option.score } : null;
+}
+
+module.exports = { SPELL_FIELD, FEW_RESULTS, buildDidYouMeanSuggester, toDidYouMean };
@@ -0,0 +1,159 @@
+const { loadIndexDefinition, definitionRevision } = require('../config/indexDefinition');
+const { flattenProperties } = require('./mappingDiff');
+
+// Autocomplete runs on the `suggest` completion field. The products-suggest ingest
+// pipeline (the index's default pipeline) fills it in whenever a product is written:
+// its name, brand and tags are the inputs and its rating the weight, so better rated
+// products come first. The category context is read from the category field by the
+// mapping. The in-memory backend runs suggestInput instead, which does the same.
+
+const SUGGEST_PIPELINE = 'products-suggest';
+const MAX_SUGGESTIONS = 20;
+
+// Weight 0-100 from a 0-5 rating
+const RATING_WEIGHT = 20;
+
+function suggestInput(product) {
+  const metadata = product.metadata || {};
+  const inputs = [];
+
+  [product.name, metadata.brand, ...(Array.isArray(product.tags) ? product.tags : [])].forEach(value => {
+    const input = typeof value === 'string' ? value.trim() : '';
+    if (input !== '' && !inputs.includes(input)) {
+      inputs.push(input);
+    }
+  });
+
+  if (inputs.length === 0) {
+    return null;
+  }
+  return {
+    input: inputs,
+    weight: typeof product.rating === 'number' ? Math.round(product.rating * RATING_WEIGHT) : 0
+  };
+}
+
+// What the pipeline does to a product, for the in-memory backend
+function withSuggestInput(product) {
+  const { suggest, ...rest } = product;
+  const input = suggestInput(rest);
+  return input ? { ...rest, suggest: input } : rest;
+}
+
+// suggestInput in Painless
+const SUGGEST_SCRIPT = `
+List inputs = new ArrayList();
+List values = new ArrayList();
+values.add(ctx.name);
+if (ctx.metadata instanceof Map) {
+  values.add(ctx.metadata.brand);
+}
+if (ctx.tags instanceof List) {
+  values.addAll(ctx.tags);
+}
+for (def value : values) {
+  if (value instanceof String) {
+    String input = value.trim();
+    if (!input.isEmpty() && !inputs.contains(input)) {
+      inputs.add(input);
+    }
+  }
+}
+if (inputs.isEmpty()) {
+  ctx.remove('suggest');
+} else {
+  int weight = ctx.rating instanceof Number ? (int) Math.round(ctx.rating * params.ratingWeight) : 0;
+  ctx.suggest = ['input': inputs, 'weight': weight];
+}
+`.trim();
+
+const SUGGEST_PIPELINE_BODY = {
+  description: 'Fills in the suggest completion field from the name, brand and tags, weighted by rating',
+  processors: [
+    {
+      script: {
+        lang: 'painless',
+        source: SUGGEST_SCRIPT,
+        params: { ratingWeight: RATING_WEIGHT }
+      }
+    }
+  ]
+};
+
+// { revision, fields } of the last definition read by suggestFields
+let completionFields = null;
+
+// The completion fields of the products index, which are the fields suggestions can come from.
+// Loading the definition reads the mapping files, so this is only done again once a new
+// definition has been saved rather than on every keystroke.
+function suggestFields() {
+  const revision = definitionRevision();
+
+  if (!completionFields || completionFields.revision !== revision) {
+    const { mappings } = loadIndexDefinition();
+    completionFields = {
+      revision: revision,
+      fields: Object.entries(flattenProperties(mappings.properties))
+        .filter(([, params]) => params.type === 'completion')
+        .map(([path]) => path)
+    };
+  }
+  return completionFields.fields;
+}
+
+// A fuzzy completion suggester, optionally limited to some categories. Trashed products
+// cannot be left out by the suggester, so it asks for extra options to filter them later.
+function buildSuggestQuery({ prefix, field, categories = [], fuzzy = true, size = 10 }) {
+  return {
+    _source: ['id', 'name', 'category', 'deleted'],
+    suggest: {
+      product_suggest: {
+        prefix: prefix,
+        completion: {
+          field: field,
+          size: size * 2,
+          skip_duplicates: true,
+          ...(fuzzy && { fuzzy: { fuzziness: 'AUTO' } }),
+          ...(categories.length > 0 && { contexts: { category: categories } })
+        }
+      }
+    },
+    size: 0
+  };
+}
+
+// One suggestion per text, with the product it came from; products in the trash are skipped
+function toSuggestions(response, { size = 10 } = {}) {
+  const [suggestion] = response.suggest.product_suggest;
+  const seen = new Set();
+
+  return suggestion.options
+    .filter(option => !option._source.deleted)
+    .filter(option => {
+      const key = option.text.toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, size)
+    .map(option => ({
+      text: option.text,
+      score: option._score,
+      productId: option._id,
+      productName: option._source.name,
+      category: option._source.category
+    }));
+}
+
+module.exports = {
+  SUGGEST_PIPELINE,
+  SUGGEST_PIPELINE_BODY,
+  MAX_SUGGESTIONS,
+  suggestInput,
+  withSuggestInput,
+  suggestFields,
+  buildSuggestQuery,
+  toSuggestions
+};
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const elasticsearchService = require('./elasticsearchService');
+
+// Search-time synonyms live in a Solr-format file that the cluster reads through the
+// updateable synonym_filter (docker-compose mounts ./synonyms into its config folder).
+// Every change bumps the version in the file header and reloads the search analyzers,
+// so new rules apply to searches straight away, without a reindex.
+//   equivalent: smartphone,phone,mobile
+//   explicit:   ipod,i-pod => ipod
+//
+// This needs every Elasticsearch node to read the file this process writes, as the
+// docker-compose mount provides; a remote or multi-node cluster reads its own copy. The
+// file therefore carries a marker rule mapping VERSION_TERM to VERSION_TERM<version>, and
+// after each reload the search analyzer is asked which version it loaded.
+
+const SYNONYMS_FILE = process.env.SYNONYMS_FILE || path.join(__dirname, '../synonyms/products.txt');
+const HEADER = '# Product search synonyms. Managed through /api/synonyms; edits made here need POST /api/synonyms/reload.';
+const SEARCH_ANALYZER = 'custom_search_analyzer';
+const VERSION_TERM = 'synonymsversion';
+const VERSION_RULE = new RegExp(`^${VERSION_TERM}\\s*=>\\s*${VERSION_TERM}(\\d+)$`, 'i');
+const VERSION_TOKEN = new RegExp(`^${VERSION_TERM}(\\d+)$`);
+
+// What the search analyzers last loaded through reloadSynonyms in this process
+let reloadState = { version: null, reloadedAt: null, failedVersion: null, error: null };
+let pendingUpdate = Promise.resolve();
+
+function synonymsError(message, status, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+function ruleId(rule) {
+  return crypto.createHash('sha1').update(rule).digest('hex').slice(0, 12);
+}
+
+// Returns { rule } in canonical form (lowercase, no spaces around commas) or { error }
+function parseRule(text) {
+  if (typeof text !== 'string') {
+    return { error: 'must be a string' };
+  }
+
+  const sides = text.split('=>');
+  if (sides.length > 2) {
+    return { error: "may contain '=>' only once" };
+  }
+
+  const terms = sides.map(side => side.split(',').map(term => term.trim().toLowerCase().replace(/\s+/g, ' ')));
+
+  if (terms.some(side => side.some(term => term === ''))) {
+    return { error: 'has an empty term' };
+  }
+  if (terms.some(side => side.some(term => /[#\\]/.test(term)))) {
+    return { error: "terms cannot contain '#' or '\\'" };
+  }
+  if (sides.length === 1 && terms[0].length < 2) {
+    return { error: 'needs at least two equivalent terms, or an explicit mapping with =>' };
+  }
+
+  const rule = sides.length === 1 ? terms[0].join(',') : `${terms[0].join(',')} => ${terms[1].join(',')}`;
+  return { rule: { id: ruleId(rule), rule, type: sides.length === 1 ? 'equivalent' : 'explicit' } };
+}
+
+// Parses a list of rules, dropping duplicates; throws a 400 listing every invalid rule
+function parseRules(texts) {
+  if (!Array.isArray(texts)) {
+    throw synonymsError('Invalid synonym rules', 400, ['rules must be an array of strings']);
+  }
+
+  const rules = new Map();
+  const errors = [];
+
+  texts.forEach((text, index) => {
+    const { rule, error } = parseRule(text);
+    if (error) {
+      errors.push(`rules[${index}] ${error}`);
+    } else {
+      rules.set(rule.id, rule);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw synonymsError('Invalid synonym rules', 400, errors);
+  }
+  return Array.from(rules.values());
+}
+
+// Splits an uploaded synonyms file into rules, skipping blank lines, comments and the version marker
+function parseSynonymsText(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line !== '' && !line.startsWith('#') && !VERSION_RULE.test(line));
+}
+
+function readSynonyms() {
+  const content = fs.existsSync(SYNONYMS_FILE) ? fs.readFileSync(SYNONYMS_FILE, 'utf8') : '';
+  const header = (name) => {
+    const match = content.match(new RegExp(`^#\\s*${name}:\\s*(.+)$`, 'm'));
+    return match ? match[1].trim() : null;
+  };
+  const marker = content.split(/\r?\n/).map(line => line.trim().match(VERSION_RULE)).find(Boolean);
+
+  // Lines edited by hand are kept even if they don't parse, so they can be removed
+  const rules = parseSynonymsText(content).map(line => {
+    const { rule } = parseRule(line);
+    return rule || { id: ruleId(line), rule: line, type: 'invalid' };
+  });
+
+  return {
+    version: parseInt(header('version')) || 0,
+    updatedAt: header('updated'),
+    markedVersion: marker ? parseInt(marker[1]) : null,
+    rules: rules
+  };
+}
+
+// Writes to a temporary file first so the cluster never reads a half-written file
+function writeSynonyms(rules, version) {
+  const content = [
+    HEADER,
+    `# version: ${version}`,
+    `# updated: ${new Date().toISOString()}`,
+    `${VERSION_TERM} => ${VERSION_TERM}${version}`,
+    ...rules.map(rule => rule.rule)
+  ].join('\n') + '\n';
+
+  const tempFile = `${SYNONYMS_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(SYNONYMS_FILE), { recursive: true });
+  fs.writeFileSync(tempFile, content);
+  fs.renameSync(tempFile, SYNONYMS_FILE);
+}
+
+// Asks the search analyzer which marker version it loaded; null when the file has no marker
+async function loadedSynonymsVersion(markedVersion) {
+  if (markedVersion === null) {
+    return null;
+  }
+
+  const response = await elasticsearchService.analyze({ analyzer: SEARCH_ANALYZER, text: VERSION_TERM });
+  const token = (response.tokens || []).map(item => item.token.match(VERSION_TOKEN)).find(Boolean);
+  return token ? parseInt(token[1]) : 0;
+}
+
+// Records a failed reload and returns the error to throw
+function reloadFailed(version, reason, message) {
+  reloadState = { ...reloadState, failedVersion: version, error: reason };
+  return synonymsError(message, 500);
+}
+
+async function reloadSynonyms() {
+  const { version, markedVersion } = readSynonyms();
+  let details;
+  let analyzers;
+  let loadedVersion = null;
+
+  try {
+    const response = await elasticsearchService.reloadSearchAnalyzers();
+    details = response.reload_details || [];
+    analyzers = [...new Set(details.flatMap(detail => detail.reloaded_analyzers))];
+
+    // Indices created before the synonyms moved to the file have nothing to reload
+    if (details.length > 0 && analyzers.length === 0) {
+      throw new Error('the index does not use the synonyms file yet, run npm run mapping:apply');
+    }
+    if (details.length > 0) {
+      loadedVersion = await loadedSynonymsVersion(markedVersion);
+    }
+  } catch (error) {
+    throw reloadFailed(
+      version,
+      error.message,
+      `Synonyms version ${version} is saved but the search analyzers could not be reloaded ` +
+      `(${error.message}); retry with POST /api/synonyms/reload`
+    );
+  }
+
+  // The analyzers reloaded some other file: the cluster does not share this one
+  if (loadedVersion !== null && loadedVersion !== markedVersion) {
+    const reason = `the cluster loaded synonyms version ${loadedVersion || 'unknown'}, not ${markedVersion}`;
+    throw reloadFailed(
+      version,
+      reason,
+      `Synonyms version ${version} is saved but ${reason}, so it does not read ${SYNONYMS_FILE}; ` +
+      'every Elasticsearch node must read this file through a shared mount (see Synonyms in the README)'
+    );
+  }
+
+  reloadState = { version, reloadedAt: new Date().toISOString(), failedVersion: null, error: null };
+  return {
+    version: version,
+    loadedVersion: loadedVersion,
+    indices: details.map(detail => detail.index),
+    analyzers: analyzers
+  };
+}
+
+// Until this process reloads, the analyzers hold the file as it was when the index was opened
+function getSynonymsStatus() {
+  const { version, updatedAt, rules } = readSynonyms();
+  const activeVersion = reloadState.version !== null
+    ? reloadState.version
+    : (reloadState.failedVersion !== null ? null : version);
+
+  return {
+    version: version,
+    activeVersion: activeVersion,
+    pendingReload: activeVersion !== version,
+    updatedAt: updatedAt,
+    reloadedAt: reloadState.reloadedAt,
+    reloadError: reloadState.error,
+    total: rules.length,
+    rules: rules
+  };
+}
+
+// Applies update(rules) to the current rules, saves the result as the next version and
+// reloads the analyzers; returning the rules unchanged saves nothing. Updates run one
+// at a time so none is lost.
+function updateSynonyms(update) {
+  const run = pendingUpdate.then(async () => {
+    const current = readSynonyms();
+    const rules = update(current.rules);
+
+    if (rules === current.rules) {
+      return { version: current.version, total: rules.length, reload: null };
+    }
+
+    const version = current.version + 1;
+
+    writeSynonyms(rules, version);
+    console.log(`Synonyms version ${version} saved (${rules.length} rules)`);
+
+    return { version, total: rules.length, reload: await reloadSynonyms() };
+  });
+
+  pendingUpdate = run.catch(() => {});
+  return run;
+}
+
+module.exports = {
+  parseRules,
+  parseSynonymsText,
+  readSynonyms,
+  reloadSynonyms,
+  getSynonymsStatus,
+  updateSynonyms
+};
@@ -0,0 +1,156 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, product } = require('./helpers/app');
+const { validateOperations, applyOperations } = require('../services/bulkOperations');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+// Runs an update-by-query and returns the finished task
+async function updateByQuery(body) {
+  const started = await app.request('POST', '/api/admin/products/update-by-query', { body });
+  assert.equal(started.status, 202);
+
+  const task = await app.request('GET', started.body.statusUrl);
+  assert.equal(task.status, 200);
+  assert.equal(task.body.completed, true);
+  return task.body;
+}
+
+test('validateOperations accepts valid operations', () => {
+  assert.deepEqual(validateOperations([
+    { op: 'set', field: 'inStock', value: false },
+    { op: 'multiply', field: 'price', value: 0.9, decimals: 2 },
+    { op: 'increment', field: 'rating', value: -0.5 },
+    { op: 'addTag', value: 'sale' },
+    { op: 'removeTag', value: 'old' }
+  ]), []);
+});
+
+test('validateOperations reports every invalid operation', () => {
+  const errors = validateOperations([
+    { op: 'rename', field: 'name' },
+    { op: 'set', field: 'unknownField', value: 1 },
+    { op: 'set', field: 'id', value: 'other' },
+    { op: 'set', field: 'rating', value: 9 },
+    { op: 'multiply', field: 'category', value: 2 },
+    { op: 'addTag', value: '' }
+  ]);
+
+  assert.equal(errors.length, 6);
+  assert.deepEqual(validateOperations([]), ['operations must be a non-empty array']);
+});
+
+test('validateOperations refuses fields inside nested fields', () => {
+  const errors = validateOperations([
+    { op: 'set', field: 'variants', value: 'x' },
+    { op: 'multiply', field: 'variants.price', value: 0.9 }
+  ]);
+
+  assert.equal(errors.length, 2);
+  errors.forEach(error => assert.match(error, /nested field 'variants'/));
+});
+
+test('applyOperations changes a copy of the product', () => {
+  const original = product({ price: 100, tags: ['audio'] });
+
+  const updated = applyOperations(original, [
+    { op: 'multiply', field: 'price', value: 0.333, decimals: 2 },
+    { op: 'set', field: 'metadata.brand', value: 'Acme' },
+    { op: 'addTag', value: 'sale' },
+    { op: 'addTag', value: 'sale' },
+    { op: 'removeTag', value: 'audio' }
+  ], '2024-01-01T00:00:00.000Z');
+
+  assert.equal(updated.price, 33.3);
+  assert.deepEqual(updated.metadata, { brand: 'Acme' });
+  assert.deepEqual(updated.tags, ['sale']);
+  assert.equal(updated.updatedAt, '2024-01-01T00:00:00.000Z');
+  assert.equal(original.price, 100);
+});
+
+test('applyOperations leaves arrays and values on the way to a field alone', () => {
+  const original = product({ metadata: [{ brand: 'Acme' }] });
+
+  const updated = applyOperations(original, [{ op: 'set', field: 'metadata.brand', value: 'Other' }]);
+
+  assert.deepEqual(updated.metadata, [{ brand: 'Acme' }]);
+});
+
+test('update-by-query with invalid operations answers 400', async () => {
+  const response = await app.request('POST', '/api/admin/products/update-by-query', {
+    body: { filters: { category: 'Books' }, operations: [{ op: 'set', field: 'variants.sku', value: 'x' }] }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.details.length, 1);
+});
+
+test('update-by-query needs a query or filters', async () => {
+  const response = await app.request('POST', '/api/admin/products/update-by-query', {
+    body: { operations: [{ op: 'set', field: 'inStock', value: false }] }
+  });
+
+  assert.equal(response.status, 400);
+});
+
+test('update-by-query changes the matching products but not the trash', async () => {
+  const seeded = await app.request('POST', '/api/products/bulk', {
+    body: {
+      products: [
+        product({ id: 'book-1', name: 'Garden Book', category: 'Books', price: 20 }),
+        product({ id: 'book-2', name: 'Cooking Book', category: 'Books', price: 30 }),
+        product({ id: 'book-3', name: 'Old Book', category: 'Books', price: 40 }),
+        product({ id: 'lamp-1', name: 'Desk Lamp', category: 'Home', price: 50 })
+      ]
+    }
+  });
+  assert.equal(seeded.body.indexed, 4);
+  await app.request('DELETE', '/api/products/book-3');
+
+  const operations = [
+    { op: 'multiply', field: 'price', value: 0.5, decimals: 2 },
+    { op: 'addTag', value: 'sale' }
+  ];
+
+  const dryRun = await app.request('POST', '/api/admin/products/update-by-query', {
+    body: { filters: { category: 'Books' }, operations, dryRun: true }
+  });
+  assert.equal(dryRun.body.matched, 2);
+  assert.equal((await app.request('GET', '/api/products/book-1')).body.price, 20);
+
+  const task = await updateByQuery({ filters: { category: 'Books' }, operations });
+  assert.equal(task.progress.updated, 2);
+
+  const book = (await app.request('GET', '/api/products/book-1')).body;
+  assert.equal(book.price, 10);
+  assert.ok(book.tags.includes('sale'));
+  assert.equal((await app.request('GET', '/api/products/book-2')).body.price, 15);
+  assert.equal((await app.request('GET', '/api/products/lamp-1')).body.price, 50);
+
+  const trash = await app.request('GET', '/api/products/trash');
+  assert.equal(trash.body.products.find(item => item.id === 'book-3').price, 40);
+});
+
+test('delete-by-query moves the matching products to the trash', async () => {
+  await app.request('POST', '/api/products/bulk', {
+    body: { products: [product({ id: 'toy-1', category: 'Toys' }), product({ id: 'toy-2', category: 'Toys' })] }
+  });
+
+  const started = await app.request('POST', '/api/admin/products/delete-by-query', {
+    body: { filters: { category: 'Toys' } }
+  });
+  assert.equal(started.status, 202);
+
+  assert.equal((await app.request('GET', '/api/products/toy-1')).status, 404);
+  const trash = await app.request('GET', '/api/products/trash');
+  assert.deepEqual(
+    trash.body.products.filter(item => item.category === 'Toys').map(item => item.id).sort(),
+    ['toy-1', 'toy-2']
+  );
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, product } = require('./helpers/app');
+
+// Around Bengaluru: Indiranagar, Koramangala (about 4.5 km south) and Whitefield (about 13 km east)
+const INDIRANAGAR = { lat: 12.9719, lon: 77.6412 };
+const store = (storeId, location, inStock = true) => ({ storeId, storeName: storeId, location, inStock });
+
+let app;
+
+before(async () => {
+  app = await startApp();
+
+  const seeded = await app.request('POST', '/api/products/bulk', {
+    body: {
+      products: [
+        product({ id: 'near-1', name: 'Desk Lamp', availability: [store('indiranagar', INDIRANAGAR)] }),
+        product({ id: 'near-2', name: 'Floor Lamp', availability: [store('koramangala', { lat: 12.9352, lon: 77.6245 })] }),
+        product({ id: 'far-1', name: 'Table Lamp', availability: [store('whitefield', { lat: 12.9698, lon: 77.7500 })] }),
+        product({ id: 'out-1', name: 'Wall Lamp', availability: [store('indiranagar', INDIRANAGAR, false)] })
+      ]
+    }
+  });
+  assert.equal(seeded.body.indexed, 4);
+});
+
+after(() => app.close());
+
+const search = body => app.request('POST', '/api/search', { body: { query: 'lamp', ...body } });
+
+test('near keeps products in stock at a store within the radius, nearest first', async () => {
+  const response = await search({ filters: { near: { ...INDIRANAGAR, radius: '10km' } }, sort: 'distance' });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.products.map(item => item.id), ['near-1', 'near-2']);
+  assert.equal(response.body.products[0].nearestStore.storeId, 'indiranagar');
+  assert.equal(response.body.products[0].nearestStore.distanceKm, 0);
+  assert.ok(Math.abs(response.body.products[1].nearestStore.distanceKm - 4.5) < 0.5);
+});
+
+test('a wider radius reaches further stores', async () => {
+  const response = await search({ filters: { near: { ...INDIRANAGAR, radius: '20km' } }, sort: 'distance', order: 'desc' });
+
+  assert.deepEqual(response.body.products.map(item => item.id), ['far-1', 'near-2', 'near-1']);
+});
+
+test('an invalid location or a distance sort without near answers 400', async () => {
+  const invalid = await search({ filters: { near: { lat: 95, lon: 77.6, radius: '5km' } } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'Invalid near filter');
+
+  const sortOnly = await search({ sort: 'distance' });
+  assert.equal(sortOnly.status, 400);
+  assert.deepEqual(sortOnly.body.details, ['sort distance needs filters.near']);
+});
+
+test('the distance facet counts products in stock within each ring', async () => {
+  const response = await app.request('GET', `/api/search/facets?lat=${INDIRANAGAR.lat}&lon=${INDIRANAGAR.lon}`);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.body.facets.distance.map(bucket => [bucket.key, bucket.doc_count]),
+    [['within_5km', 2], ['within_10km', 2], ['within_25km', 3]]
+  );
+  assert.equal((await app.request('GET', '/api/search/facets?lat=12.9')).status, 400);
+});
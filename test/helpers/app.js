@@ -0,0 +1,68 @@
+// Starts the API routes on the in-memory backend for the offline tests. Each test file
+// runs in its own process, so it gets an empty store of its own.
+process.env.SEARCH_BACKEND = 'memory';
+
+const express = require('express');
+const elasticsearchService = require('../../services/elasticsearchService');
+const productRoutes = require('../../routes/products');
+const searchRoutes = require('../../routes/search');
+const adminRoutes = require('../../routes/admin');
+const uploadRoutes = require('../../routes/upload');
+
+// Listens on a free port; returns its baseUrl, request(method, path, { body, headers }) and close().
+// Response bodies are parsed when they are JSON and left as text otherwise.
+async function startApp() {
+  await elasticsearchService.initialize();
+
+  const app = express();
+  app.use(express.json({
+    type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json']
+  }));
+  app.use('/api/products', productRoutes);
+  app.use('/api/search', searchRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/upload', uploadRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { body, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: method,
+      headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const json = /json/.test(response.headers.get('content-type') || '');
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: json && text ? JSON.parse(text) : (text || null)
+    };
+  }
+
+  return {
+    baseUrl: baseUrl,
+    request: request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// A valid product; fields can be overridden
+function product(overrides = {}) {
+  return {
+    name: 'Wireless Headphones',
+    description: 'Over-ear headphones with noise cancellation',
+    category: 'Electronics',
+    price: 199.99,
+    rating: 4.5,
+    tags: ['audio', 'wireless'],
+    inStock: true,
+    ...overrides
+  };
+}
+
+module.exports = { startApp, product };
@@ -0,0 +1,167 @@
+// applyMapping against a stubbed Elasticsearch client, with the definition files copied to
+// a temporary directory so the tests can save new versions
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const definitionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mappings-'));
+fs.cpSync(path.join(__dirname, '../mappings'), definitionsDir, { recursive: true });
+process.env.INDEX_DEFINITIONS_DIR = definitionsDir;
+process.env.SEARCH_BACKEND = 'elasticsearch';
+
+const elasticsearchService = require('../services/elasticsearchService');
+const { loadIndexDefinition, listDefinitionVersions, nextDefinitionVersion } = require('../config/indexDefinition');
+
+const LIVE_INDEX = 'products_v1';
+let live;
+let calls;
+
+// The latest definition with one more analysis filter, as POST /api/analyzers/apply builds it
+function withNewFilter(name) {
+  const desired = loadIndexDefinition();
+  const version = nextDefinitionVersion();
+  const analysis = desired.settings.analysis;
+
+  return {
+    version: version,
+    unsaved: true,
+    settings: {
+      ...desired.settings,
+      analysis: { ...analysis, filter: { ...analysis.filter, [name]: { type: 'length', min: 2 } } }
+    },
+    mappings: { ...desired.mappings, _meta: { ...desired.mappings._meta, definition_version: version } }
+  };
+}
+
+// Client calls are recorded; `fail` names one that throws, `hold` one that waits for release()
+function stubClient({ fail, hold } = {}) {
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+
+  elasticsearchService.execute = async (operation, method) => {
+    calls.push(method);
+    if (method === hold) {
+      await held;
+    }
+    if (method === fail) {
+      throw new Error(`${method} failed`);
+    }
+    return {};
+  };
+  return { release };
+}
+
+// The live index after a successful apply
+function applied({ settings, mappings }) {
+  live = { index: LIVE_INDEX, settings, mappings };
+}
+
+before(() => {
+  applied(loadIndexDefinition());
+  elasticsearchService.getLiveDefinition = async () => live;
+});
+
+after(() => fs.rmSync(definitionsDir, { recursive: true, force: true }));
+
+test('a new analysis component is applied in place and only then saved', async () => {
+  calls = [];
+  stubClient();
+  const versions = listDefinitionVersions();
+  const definition = withNewFilter('short_words');
+
+  const result = await elasticsearchService.applyMapping({ definition });
+
+  assert.equal(result.action, 'update');
+  assert.equal(result.closeRequired, true);
+  assert.deepEqual(calls.slice(0, 4), ['indices.close', 'indices.putSettings', 'indices.open', 'cluster.health']);
+  assert.ok(calls.includes('indices.putMapping'));
+
+  assert.equal(result.definitionVersion, definition.version);
+  assert.deepEqual(listDefinitionVersions(), [...versions, definition.version]);
+  assert.deepEqual(loadIndexDefinition().settings.analysis.filter.short_words, { type: 'length', min: 2 });
+
+  applied(definition);
+});
+
+test('a failed apply saves no definition and releases the lock', async () => {
+  calls = [];
+  stubClient({ fail: 'indices.putMapping' });
+  const versions = listDefinitionVersions();
+
+  await assert.rejects(
+    elasticsearchService.applyMapping({ definition: withNewFilter('broken_words') }),
+    /indices.putMapping failed/
+  );
+
+  assert.deepEqual(listDefinitionVersions(), versions);
+  assert.equal(loadIndexDefinition().settings.analysis.filter.broken_words, undefined);
+  assert.equal(elasticsearchService.mappingInProgress, false);
+});
+
+test('a second apply is refused while one is running', async () => {
+  calls = [];
+  const { release } = stubClient({ hold: 'indices.close' });
+  const versions = listDefinitionVersions();
+
+  const definition = withNewFilter('long_words');
+  const first = elasticsearchService.applyMapping({ definition });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(elasticsearchService.mappingInProgress, true);
+
+  await assert.rejects(
+    elasticsearchService.applyMapping({ definition: withNewFilter('other_words') }),
+    error => error.status === 409
+  );
+
+  release();
+  const result = await first;
+
+  assert.deepEqual(listDefinitionVersions(), [...versions, result.definitionVersion]);
+  assert.equal(elasticsearchService.mappingInProgress, false);
+  applied(definition);
+});
+
+test('a changed component reindexes into an index built from the applied definition', async () => {
+  calls = [];
+  stubClient();
+  const current = loadIndexDefinition();
+  const version = nextDefinitionVersion();
+  const [name, filter] = Object.entries(current.settings.analysis.filter)[0];
+  const definition = {
+    ...current,
+    version: version,
+    unsaved: true,
+    settings: {
+      ...current.settings,
+      analysis: { ...current.settings.analysis, filter: { ...current.settings.analysis.filter, [name]: { ...filter, changed: true } } }
+    }
+  };
+
+  let reindexedWith = null;
+  elasticsearchService.reindex = async options => {
+    reindexedWith = options.definition;
+    return { newIndex: 'products_v2' };
+  };
+
+  const result = await elasticsearchService.applyMapping({ definition });
+
+  assert.equal(result.action, 'reindex');
+  assert.equal(reindexedWith, definition);
+  assert.equal(result.definitionVersion, version);
+  applied(definition);
+});
+
+test('a dry run changes nothing', async () => {
+  calls = [];
+  stubClient();
+  const versions = listDefinitionVersions();
+
+  const result = await elasticsearchService.applyMapping({ dryRun: true, definition: withNewFilter('dry_words') });
+
+  assert.equal(result.dryRun, true);
+  assert.equal(result.action, 'update');
+  assert.deepEqual(calls, []);
+  assert.deepEqual(listDefinitionVersions(), versions);
+});
@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, product } = require('./helpers/app');
+const { parseSize, pageOffset } = require('../services/pagination');
+
+const PRODUCT_COUNT = 25;
+
+let app;
+
+before(async () => {
+  app = await startApp();
+
+  const products = Array.from({ length: PRODUCT_COUNT }, (item, index) => product({
+    id: `cable-${String(index).padStart(2, '0')}`,
+    name: `Braided Cable ${index}`,
+    price: 5 + index
+  }));
+  const seeded = await app.request('POST', '/api/products/bulk', { body: { products } });
+  assert.equal(seeded.body.indexed, PRODUCT_COUNT);
+});
+
+after(() => app.close());
+
+// Follows nextCursor from the first page to the last; returns the pages
+async function readAllPages(firstPage) {
+  const pages = [];
+  let page = await firstPage();
+
+  while (true) {
+    assert.equal(page.status, 200);
+    pages.push(page.body);
+    if (!page.body.nextCursor) {
+      return pages;
+    }
+    page = await firstPage(page.body.nextCursor);
+  }
+}
+
+test('parseSize and pageOffset reject values outside the limits', () => {
+  assert.equal(parseSize('20'), 20);
+  assert.throws(() => parseSize(0), /size must be an integer/);
+  assert.throws(() => parseSize(101), /size must be an integer/);
+
+  assert.equal(pageOffset(3, 10), 20);
+  assert.throws(() => pageOffset(0, 10), /page must be a positive integer/);
+  assert.throws(() => pageOffset(1001, 10), /use cursor pagination/);
+});
+
+test('cursor pagination of the product list returns every product once', async () => {
+  const pages = await readAllPages(cursor => app.request('GET', cursor
+    ? `/api/products?cursor=${cursor}&size=10&sort=price&order=asc`
+    : '/api/products?pagination=cursor&size=10&sort=price&order=asc'));
+
+  assert.deepEqual(pages.map(page => page.products.length), [10, 10, 5]);
+  const prices = pages.flatMap(page => page.products.map(item => item.price));
+  assert.deepEqual(prices, Array.from({ length: PRODUCT_COUNT }, (item, index) => 5 + index));
+});
+
+test('cursor pagination of a search returns every match once', async () => {
+  const search = { query: 'braided', searchType: 'wildcard', sort: 'price', order: 'desc', size: 7 };
+
+  const pages = await readAllPages(cursor => app.request('POST', '/api/search', {
+    body: cursor ? { ...search, cursor } : { ...search, pagination: 'cursor' }
+  }));
+
+  const ids = pages.flatMap(page => page.products.map(item => item.id));
+  assert.equal(pages.length, 4);
+  assert.equal(new Set(ids).size, PRODUCT_COUNT);
+  assert.equal(pages[0].products[0].price, 5 + PRODUCT_COUNT - 1);
+  assert.ok(pages.every(page => page.total === PRODUCT_COUNT));
+});
+
+test('a cursor only continues the search it came from', async () => {
+  const first = await app.request('GET', '/api/products?pagination=cursor&size=10&sort=price&order=asc');
+
+  const otherSort = await app.request('GET', `/api/products?cursor=${first.body.nextCursor}&size=10&sort=price&order=desc`);
+
+  assert.equal(otherSort.status, 400);
+  assert.match(otherSort.body.error, /Cursor does not belong to this search/);
+});
+
+test('an invalid cursor answers 400', async () => {
+  const response = await app.request('GET', '/api/products?cursor=not-a-cursor');
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Invalid cursor');
+});
+
+test('page numbers past the result window answer 400', async () => {
+  const response = await app.request('GET', '/api/products?page=2000&size=10');
+
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /pagination=cursor/);
+});
+
+test('the trash and history listings validate page and size too', async () => {
+  for (const path of ['/api/products/trash', '/api/products/cable-00/history']) {
+    const valid = await app.request('GET', `${path}?page=1&size=5`);
+    assert.equal(valid.status, 200);
+
+    for (const query of ['size=abc', 'size=500', 'page=0', 'page=2000&size=10']) {
+      const response = await app.request('GET', `${path}?${query}`);
+      assert.equal(response.status, 400, `${path}?${query}`);
+    }
+  }
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { startApp, product } = require('./helpers/app');
+const { CSV_COLUMNS, toCsvRows, productsFromCsvRows } = require('../services/productCsv');
+
+const STORES = [
+  { storeId: 'blr-indiranagar', storeName: 'Bengaluru Indiranagar', location: { lat: 12.9719, lon: 77.6412 }, inStock: true },
+  { storeId: 'mum-bandra', storeName: 'Mumbai Bandra', location: { lat: 19.0596, lon: 72.8295 }, inStock: false }
+];
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+// Parses CSV text the way the importer does
+function parseCsv(text) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([text]).pipe(csv())
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+async function uploadCsv(text) {
+  const form = new FormData();
+  form.append('csvFile', new Blob([text], { type: 'text/csv' }), 'products.csv');
+
+  const response = await fetch(`${app.baseUrl}/api/upload/csv`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+test('a product with variants and stores survives a CSV round trip', async () => {
+  const original = product({
+    id: 'tee-1',
+    variants: [
+      { sku: 'TEE-WHT-M', color: 'White', size: 'M', price: 29.99, inStock: true },
+      { sku: 'TEE-WHT-L', color: 'White', size: 'L', price: 29.99, inStock: false },
+      { sku: 'TEE-RED-M', color: 'Red', size: 'M', price: 31.99, inStock: true }
+    ],
+    availability: STORES
+  });
+
+  const lines = toCsvRows(original);
+  assert.equal(lines.length, 3);
+
+  const { products, invalid } = productsFromCsvRows(await parseCsv(`${CSV_COLUMNS.join(',')}\n${lines.join('\n')}\n`));
+
+  assert.deepEqual(invalid, []);
+  assert.deepEqual(products[0].variants, original.variants);
+  assert.deepEqual(products[0].availability, STORES);
+});
+
+test('store problems are reported on the row of the store', async () => {
+  const text = [
+    CSV_COLUMNS.join(','),
+    toCsvRows(product({ id: 'lamp-1', availability: STORES }))[0],
+    `lamp-1${','.repeat(CSV_COLUMNS.indexOf('storeId'))}del-saket,Delhi Saket,"95,77.2",true`
+  ].join('\n');
+
+  const { invalid } = productsFromCsvRows(await parseCsv(text));
+
+  assert.equal(invalid.length, 1);
+  assert.equal(invalid[0].row, 3);
+  assert.match(invalid[0].error, /^availability\[1\]\.location/);
+});
+
+test('re-importing a CSV export keeps the store availability and creation date', async () => {
+  const created = await app.request('POST', '/api/products', {
+    body: product({ name: 'Portable Speaker', availability: STORES })
+  });
+  assert.equal(created.status, 201);
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  const exported = await app.request('GET', '/api/products/export?format=csv');
+  assert.equal(exported.status, 200);
+
+  const imported = await uploadCsv(exported.body);
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.productsImported, 1);
+
+  const reread = await app.request('GET', `/api/products/${created.body.id}`);
+  assert.deepEqual(reread.body.availability, STORES);
+  assert.equal(reread.body.createdAt, created.body.createdAt);
+
+  const nearby = await app.request('POST', '/api/search', {
+    body: { query: 'speaker', filters: { near: { lat: 12.97, lon: 77.64, radius: '5km' } } }
+  });
+  assert.deepEqual(nearby.body.products.map(item => item.id), [created.body.id]);
+});
@@ -0,0 +1,211 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, product } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+async function createProduct(overrides) {
+  const created = await app.request('POST', '/api/products', { body: product(overrides) });
+  assert.equal(created.status, 201);
+  return { product: created.body, etag: created.headers.get('etag') };
+}
+
+test('PUT with the current ETag replaces the product and returns the new ETag', async () => {
+  const { product: created, etag } = await createProduct();
+
+  const updated = await app.request('PUT', `/api/products/${created.id}`, {
+    body: product({ price: 149.99 }),
+    headers: { 'If-Match': etag }
+  });
+
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.price, 149.99);
+  assert.equal(updated.body.createdAt, created.createdAt);
+  assert.notEqual(updated.headers.get('etag'), etag);
+});
+
+test('a write with a stale ETag answers 412 with the current ETag', async () => {
+  const { product: created, etag } = await createProduct();
+  const first = await app.request('PATCH', `/api/products/${created.id}`, {
+    body: { price: 99 },
+    headers: { 'If-Match': etag }
+  });
+  assert.equal(first.status, 200);
+
+  const stale = await app.request('PUT', `/api/products/${created.id}`, {
+    body: product({ price: 79 }),
+    headers: { 'If-Match': etag }
+  });
+
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.currentETag, first.headers.get('etag'));
+  assert.equal((await app.request('GET', `/api/products/${created.id}`)).body.price, 99);
+});
+
+test('concurrent updates with the same ETag let exactly one through', async () => {
+  const { product: created, etag } = await createProduct();
+
+  const results = await Promise.all([10, 20, 30].map(price => app.request('PATCH', `/api/products/${created.id}`, {
+    body: { price },
+    headers: { 'If-Match': etag }
+  })));
+
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 412, 412]);
+});
+
+test('a malformed If-Match answers 400', async () => {
+  const { product: created } = await createProduct();
+
+  const response = await app.request('DELETE', `/api/products/${created.id}`, {
+    headers: { 'If-Match': 'not-an-etag' }
+  });
+
+  assert.equal(response.status, 400);
+});
+
+test('a merge patch changes the given fields and removes null ones', async () => {
+  const { product: created } = await createProduct();
+
+  const response = await app.request('PATCH', `/api/products/${created.id}`, {
+    body: { price: 120, description: null },
+    headers: { 'Content-Type': 'application/merge-patch+json' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.price, 120);
+  assert.equal(response.body.description, undefined);
+  assert.equal(response.body.name, created.name);
+});
+
+test('a JSON patch applies its operations in order', async () => {
+  const { product: created } = await createProduct();
+
+  const response = await app.request('PATCH', `/api/products/${created.id}`, {
+    body: [
+      { op: 'test', path: '/price', value: 199.99 },
+      { op: 'replace', path: '/price', value: 179.99 },
+      { op: 'add', path: '/tags/-', value: 'sale' }
+    ],
+    headers: { 'Content-Type': 'application/json-patch+json' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.price, 179.99);
+  assert.deepEqual(response.body.tags, ['audio', 'wireless', 'sale']);
+});
+
+test('a failed JSON patch test answers 409 and writes nothing', async () => {
+  const { product: created } = await createProduct();
+
+  const response = await app.request('PATCH', `/api/products/${created.id}`, {
+    body: [
+      { op: 'replace', path: '/price', value: 1 },
+      { op: 'test', path: '/name', value: 'Something else' }
+    ],
+    headers: { 'Content-Type': 'application/json-patch+json' }
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal((await app.request('GET', `/api/products/${created.id}`)).body.price, 199.99);
+});
+
+test('a patch that breaks the schema answers 400', async () => {
+  const { product: created } = await createProduct();
+
+  const response = await app.request('PATCH', `/api/products/${created.id}`, {
+    body: { rating: 7 },
+    headers: { 'Content-Type': 'application/merge-patch+json' }
+  });
+
+  assert.equal(response.status, 400);
+  assert.ok(response.body.details.length > 0);
+});
+
+test('deleting moves the product to the trash and restoring brings it back', async () => {
+  const { product: created } = await createProduct({ name: 'Trash Candidate Speaker' });
+
+  const deleted = await app.request('DELETE', `/api/products/${created.id}`);
+  assert.equal(deleted.status, 200);
+  assert.ok(deleted.body.deletedAt);
+
+  assert.equal((await app.request('GET', `/api/products/${created.id}`)).status, 404);
+  assert.equal((await app.request('PATCH', `/api/products/${created.id}`, { body: { price: 1 } })).status, 404);
+
+  const trash = await app.request('GET', '/api/products/trash');
+  assert.ok(trash.body.products.some(item => item.id === created.id));
+
+  const listed = await app.request('GET', '/api/products?size=100');
+  assert.ok(!listed.body.products.some(item => item.id === created.id));
+  const publicListing = await app.request('GET', '/api/products?size=100&includeDeleted=true');
+  assert.ok(!publicListing.body.products.some(item => item.id === created.id));
+  assert.equal((await app.request('GET', `/api/products/${created.id}?includeDeleted=true`)).status, 404);
+
+  const adminListing = await app.request('GET', '/api/admin/products?size=100');
+  assert.ok(adminListing.body.products.some(item => item.id === created.id && item.deleted));
+  const adminLookup = await app.request('GET', `/api/admin/products/${created.id}`);
+  assert.equal(adminLookup.status, 200);
+  assert.equal(adminLookup.body.deleted, true);
+
+  const restored = await app.request('POST', `/api/products/${created.id}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.deleted, false);
+  assert.equal((await app.request('GET', `/api/products/${created.id}`)).status, 200);
+});
+
+test('restoring a product that is not in the trash answers 409', async () => {
+  const { product: created } = await createProduct();
+
+  const response = await app.request('POST', `/api/products/${created.id}/restore`);
+
+  assert.equal(response.status, 409);
+});
+
+test('deleted products are left out of search results', async () => {
+  const { product: created } = await createProduct({ name: 'Vanishing Turntable' });
+  await app.request('DELETE', `/api/products/${created.id}`);
+
+  const search = { query: 'vanishing turntable', searchType: 'match_phrase' };
+  const response = await app.request('POST', '/api/search', { body: search });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.total, 0);
+
+  const withDeleted = await app.request('POST', '/api/search?includeDeleted=true', { body: search });
+  assert.equal(withDeleted.body.total, 0);
+});
+
+test('a deleted product has no related products', async () => {
+  const { product: created } = await createProduct();
+  assert.equal((await app.request('GET', `/api/search/related/${created.id}`)).status, 200);
+
+  await app.request('DELETE', `/api/products/${created.id}`);
+
+  const response = await app.request('GET', `/api/search/related/${created.id}`);
+  assert.equal(response.status, 404);
+});
+
+test('a bulk item with ifMatch overwrites the product but keeps its creation date', async () => {
+  const { product: created, etag } = await createProduct();
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  const response = await app.request('POST', '/api/products/bulk', {
+    body: { products: [product({ id: created.id, price: 59.99, ifMatch: etag })] }
+  });
+  assert.equal(response.body.indexed, 1);
+
+  const reread = (await app.request('GET', `/api/products/${created.id}`)).body;
+  assert.equal(reread.price, 59.99);
+  assert.equal(reread.createdAt, created.createdAt);
+  assert.notEqual(reread.updatedAt, created.updatedAt);
+
+  const stale = await app.request('POST', '/api/products/bulk', {
+    body: { products: [product({ id: created.id, price: 49.99, ifMatch: etag })] }
+  });
+  assert.equal(stale.body.failed, 1);
+  assert.equal(stale.body.failures[0].status, 409);
+});
@@ -0,0 +1,121 @@
+// reindex against a stubbed client that keeps the indices in memory, so deletes can land
+// while the copy runs
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SEARCH_BACKEND = 'elasticsearch';
+
+const elasticsearchService = require('../services/elasticsearchService');
+
+const SOURCE = 'products_v1';
+const TARGET = 'products_v2';
+const OLD = '2026-01-01T00:00:00.000Z';
+
+let indices;
+let duringCopy;
+
+// Supports the few queries the reindex and these tests send
+function matches(document, query) {
+  if (query.ids) {
+    return query.ids.values.includes(document.id);
+  }
+  if (query.range) {
+    return document.updatedAt >= query.range.updatedAt.gte;
+  }
+  const [field, value] = Object.entries(query.term)[0];
+  return document[field] === value;
+}
+
+function documentsOf(names) {
+  return [].concat(names).flatMap(name => Array.from(indices[name].values()));
+}
+
+const handlers = {
+  'indices.existsAlias': () => true,
+  'indices.getAlias': () => ({ [SOURCE]: {} }),
+  'indices.get': () => ({ [SOURCE]: {} }),
+  'indices.create': ({ index }) => { indices[index] = new Map(); },
+  'indices.refresh': () => ({}),
+  'indices.putSettings': () => ({}),
+  'indices.updateAliases': () => ({}),
+  'indices.delete': ({ index }) => { delete indices[index]; },
+  count: ({ index }) => ({ count: documentsOf(index).length }),
+
+  reindex: async ({ body }) => {
+    const copied = documentsOf(body.source.index).filter(document => !body.source.query || matches(document, body.source.query));
+    copied.forEach(document => indices[body.dest.index].set(document.id, { ...document }));
+
+    // The first pass is the long one; the test's writes land right after it copied
+    if (!body.source.query && duringCopy) {
+      await duringCopy();
+    }
+    return { total: copied.length, failures: [] };
+  },
+
+  search: ({ index, body }) => {
+    const hits = documentsOf(body.pit ? body.pit.id : index)
+      .filter(document => matches(document, body.query))
+      .map((document, position) => ({ _id: document.id, _source: document, sort: [position] }));
+    return { hits: { hits: body.search_after ? [] : hits } };
+  },
+
+  'transport.request': ({ method, path }) => (method === 'POST' ? { id: path.split('/')[1] } : {}),
+
+  bulk: ({ body }) => ({
+    items: body.map(({ delete: action }) => ({
+      delete: { result: indices[action._index].delete(action._id) ? 'deleted' : 'not_found' }
+    }))
+  }),
+
+  deleteByQuery: ({ body }) => {
+    const deleted = documentsOf(SOURCE).filter(document => matches(document, body.query));
+    deleted.forEach(document => indices[SOURCE].delete(document.id));
+    return { deleted: deleted.length };
+  }
+};
+
+elasticsearchService.execute = async (operation, method, params) => handlers[method](params);
+
+function seed(ids, overrides = {}) {
+  ids.forEach(id => indices[SOURCE].set(id, { id, category: 'Electronics', updatedAt: OLD, ...overrides }));
+}
+
+beforeEach(() => {
+  indices = { [SOURCE]: new Map() };
+  duringCopy = null;
+  seed(['p1', 'p2', 'p3']);
+  seed(['d1', 'd2'], { category: 'Discontinued' });
+});
+
+test('products deleted by query during the copy are deleted from the new index', async () => {
+  duringCopy = () => elasticsearchService.deleteByQuery({ term: { category: 'Discontinued' } });
+
+  const result = await elasticsearchService.reindex();
+
+  assert.equal(result.newIndex, TARGET);
+  assert.equal(result.deletesReplayed, 2);
+  assert.equal(result.documents, 3);
+  assert.deepEqual(Array.from(indices[TARGET].keys()).sort(), ['p1', 'p2', 'p3']);
+  assert.deepEqual(elasticsearchService.reindexDeletes, []);
+});
+
+test('a product written again after the delete stays in the new index', async () => {
+  duringCopy = async () => {
+    await elasticsearchService.deleteByQuery({ term: { category: 'Discontinued' } });
+    seed(['d2'], { category: 'Discontinued', updatedAt: new Date().toISOString() });
+  };
+
+  const result = await elasticsearchService.reindex();
+
+  assert.equal(result.deletesReplayed, 1);
+  assert.deepEqual(Array.from(indices[TARGET].keys()).sort(), ['d2', 'p1', 'p2', 'p3']);
+});
+
+test('deletes outside a reindex are not recorded', async () => {
+  await elasticsearchService.deleteByQuery({ term: { category: 'Discontinued' } });
+
+  const result = await elasticsearchService.reindex();
+
+  assert.equal(result.deletesReplayed, 0);
+  assert.equal(result.documents, 3);
+});
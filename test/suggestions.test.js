@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startApp, product } = require('./helpers/app');
+const { suggestFields, suggestInput } = require('../services/suggestions');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+
+  const seeded = await app.request('POST', '/api/products/bulk', {
+    body: {
+      products: [
+        product({ id: 'kb-1', name: 'Wireless Keyboard', category: 'Electronics', rating: 4.8, tags: [] }),
+        product({ id: 'kb-2', name: 'Wired Keyboard', category: 'Electronics', rating: 3.1, tags: [] }),
+        product({ id: 'wb-1', name: 'Wire Basket', category: 'Home', rating: 4.0, tags: [] }),
+        product({ id: 'ws-1', name: 'Wireless Speaker', category: 'Electronics', rating: 4.2, tags: [] })
+      ]
+    }
+  });
+  assert.equal(seeded.body.indexed, 4);
+});
+
+after(() => app.close());
+
+const suggest = query => app.request('GET', `/api/search/suggest?${query}`);
+
+test('suggestInput takes the name, brand and tags, weighted by rating', () => {
+  assert.deepEqual(
+    suggestInput({ name: 'Desk Lamp ', metadata: { brand: 'Lumo' }, tags: ['lamp', 'Desk Lamp'], rating: 4.5 }),
+    { input: ['Desk Lamp', 'Lumo', 'lamp'], weight: 90 }
+  );
+  assert.equal(suggestInput({ name: ' ', rating: 4 }), null);
+});
+
+test('suggestFields reads the mapping files once', () => {
+  const readdirSync = fs.readdirSync;
+  let reads = 0;
+  fs.readdirSync = (...args) => {
+    reads += 1;
+    return readdirSync(...args);
+  };
+
+  try {
+    const fields = suggestFields();
+    assert.ok(fields.includes('suggest'));
+    assert.equal(suggestFields(), fields);
+  } finally {
+    fs.readdirSync = readdirSync;
+  }
+  assert.equal(reads, 1);
+});
+
+test('suggestions complete the prefix, better rated products first', async () => {
+  const exact = await suggest('q=wirel&fuzzy=false');
+  assert.equal(exact.status, 200);
+  assert.deepEqual(exact.body.suggestions.map(item => item.text), ['Wireless Keyboard', 'Wireless Speaker']);
+  assert.equal(exact.body.suggestions[0].productId, 'kb-1');
+
+  // Fuzzy matching also takes names a letter away
+  const fuzzy = await suggest('q=wirel');
+  assert.ok(fuzzy.body.suggestions.some(item => item.text === 'Wired Keyboard'));
+});
+
+test('suggestions can be limited to categories', async () => {
+  const response = await suggest('q=wire&category=Home&fuzzy=false');
+
+  assert.deepEqual(response.body.suggestions.map(item => item.productId), ['wb-1']);
+});
+
+test('trashed products are not suggested', async () => {
+  await app.request('DELETE', '/api/products/ws-1');
+
+  const response = await suggest('q=wireless&fuzzy=false');
+
+  assert.deepEqual(response.body.suggestions.map(item => item.productId), ['kb-1']);
+});
+
+test('an unknown field or size answers 400', async () => {
+  const response = await suggest('q=wire&field=name&size=50');
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.details.length, 2);
+  assert.equal((await suggest('field=suggest')).status, 400);
+});
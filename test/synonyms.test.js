@@ -0,0 +1,124 @@
+// The synonyms service against a stubbed cluster that loads a synonyms file on reload, with
+// the file copied to a temporary directory
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const synonymsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'synonyms-'));
+const synonymsFile = path.join(synonymsDir, 'products.txt');
+fs.copyFileSync(path.join(__dirname, '../synonyms/products.txt'), synonymsFile);
+process.env.SYNONYMS_FILE = synonymsFile;
+process.env.SEARCH_BACKEND = 'elasticsearch';
+
+const elasticsearchService = require('../services/elasticsearchService');
+const {
+  parseRules,
+  parseSynonymsText,
+  readSynonyms,
+  reloadSynonyms,
+  getSynonymsStatus,
+  updateSynonyms
+} = require('../services/synonyms');
+
+// The file the cluster reads, and the rules it loaded on the last reload
+let clusterFile = synonymsFile;
+let loaded = [];
+
+elasticsearchService.reloadSearchAnalyzers = async () => {
+  loaded = fs.readFileSync(clusterFile, 'utf8').split('\n');
+  return { reload_details: [{ index: 'products_v1', reloaded_analyzers: ['custom_search_analyzer'] }] };
+};
+
+// Applies the loaded explicit rules to a single term, as the search analyzer's synonym filter would
+elasticsearchService.analyze = async ({ text }) => {
+  const rule = loaded.map(line => line.split(/\s*=>\s*/)).find(([from]) => from === text);
+  return { tokens: [{ token: rule ? rule[1] : text }] };
+};
+
+after(() => fs.rmSync(synonymsDir, { recursive: true, force: true }));
+
+test('rules are stored in canonical form without duplicates', () => {
+  const rules = parseRules(['TV, Television', 'tv,television', 'I-Pod,i  pod=>ipod']);
+
+  assert.deepEqual(rules.map(rule => [rule.rule, rule.type]), [
+    ['tv,television', 'equivalent'],
+    ['i-pod,i pod => ipod', 'explicit']
+  ]);
+  assert.throws(
+    () => parseRules(['tv', 'a => b => c', 'x,#y']),
+    error => error.status === 400 && error.details.length === 3
+  );
+});
+
+test('a change is saved as the next version with its marker and reloaded', async () => {
+  const { version } = readSynonyms();
+
+  const result = await updateSynonyms(current => [...current, ...parseRules(['tv,television'])]);
+
+  assert.equal(result.version, version + 1);
+  assert.equal(result.reload.loadedVersion, version + 1);
+  assert.match(fs.readFileSync(synonymsFile, 'utf8'), new RegExp(`^synonymsversion => synonymsversion${version + 1}$`, 'm'));
+
+  const status = getSynonymsStatus();
+  assert.equal(status.activeVersion, version + 1);
+  assert.equal(status.pendingReload, false);
+  assert.ok(status.rules.some(rule => rule.rule === 'tv,television'));
+  assert.ok(status.rules.every(rule => !rule.rule.startsWith('synonymsversion')));
+});
+
+test('concurrent changes are applied one after the other', async () => {
+  const { version } = readSynonyms();
+
+  const results = await Promise.all([
+    updateSynonyms(current => [...current, ...parseRules(['sofa,couch'])]),
+    updateSynonyms(current => [...current, ...parseRules(['fridge,refrigerator'])])
+  ]);
+
+  assert.deepEqual(results.map(result => result.version), [version + 1, version + 2]);
+  const rules = readSynonyms().rules.map(rule => rule.rule);
+  assert.ok(rules.includes('sofa,couch') && rules.includes('fridge,refrigerator'));
+});
+
+test('a re-uploaded synonyms file does not keep the old marker as a rule', () => {
+  const text = fs.readFileSync(synonymsFile, 'utf8');
+
+  assert.ok(parseSynonymsText(text).every(line => !line.startsWith('synonymsversion')));
+});
+
+test('a cluster that reads another file fails the reload', async () => {
+  const copy = path.join(synonymsDir, 'cluster-copy.txt');
+  fs.copyFileSync(synonymsFile, copy);
+  clusterFile = copy;
+
+  try {
+    const { version } = readSynonyms();
+
+    await assert.rejects(
+      updateSynonyms(current => [...current, ...parseRules(['sneakers,trainers'])]),
+      error => error.status === 500 && /loaded synonyms version \d+, not \d+, so it does not read/.test(error.message)
+    );
+
+    const status = getSynonymsStatus();
+    assert.equal(status.version, version + 1);
+    assert.equal(status.activeVersion, version);
+    assert.equal(status.pendingReload, true);
+    assert.match(status.reloadError, new RegExp(`not ${version + 1}$`));
+  } finally {
+    clusterFile = synonymsFile;
+  }
+
+  const reload = await reloadSynonyms();
+  assert.equal(reload.loadedVersion, reload.version);
+  assert.equal(getSynonymsStatus().reloadError, null);
+});
+
+test('a file without a marker is reloaded without the check', async () => {
+  fs.writeFileSync(synonymsFile, '# version: 3\nsofa,couch\n');
+
+  const reload = await reloadSynonyms();
+
+  assert.equal(reload.version, 3);
+  assert.equal(reload.loadedVersion, null);
+});